@@ -0,0 +1,277 @@
+import { make } from './utils/dom';
+
+/**
+ * @typedef {object} ImageAdjustments
+ * @description Colour adjustments applied to the image on render, in percents
+ * @property {number} brightness - 0..200, 100 keeps the image as is
+ * @property {number} contrast - 0..200, 100 keeps the image as is
+ * @property {number} saturation - 0..200, 100 keeps the image as is
+ * @property {number} grayscale - 0..100
+ * @property {number} sepia - 0..100
+ * @property {number} sharpen - 0..100
+ */
+
+/**
+ * Adjustments panel: sliders change the block state on every move, so the image is previewed live.
+ * The adjusted image can be baked into a new file, see {@link ImageTool#bakeAdjustments}
+ */
+export default class Adjuster {
+  /**
+   * @param {object} params - adjuster module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageAdjustments): void} params.onChange - fired with all values when any slider is moved
+   * @param {Function} params.onBake - fired when the adjusted image should be saved as a new file
+   * @param {Function} params.onClose - fired when the panel is closed
+   */
+  constructor({ api, config, onChange, onBake, onClose }) {
+    this.api = api;
+    this.config = config;
+    this.onChange = onChange;
+    this.onBake = onBake;
+    this.onClose = onClose;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      controls: make('div', this.CSS.controls),
+      toolbar: make('div', this.CSS.toolbar),
+      inputs: {},
+    };
+
+    Adjuster.controls.forEach(({ name, title, min, max }) => {
+      const label = make('label', this.CSS.control);
+      const input = make('input', this.CSS.range, {
+        type: 'range',
+        min,
+        max,
+        step: 1,
+      });
+
+      input.addEventListener('input', () => this.onChange(this.getValues()));
+
+      label.appendChild(
+        make('span', this.CSS.title, { textContent: this.api.i18n.t(title) })
+      );
+      label.appendChild(input);
+      this.nodes.inputs[name] = input;
+      this.nodes.controls.appendChild(label);
+    });
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Reset', () => {
+        this.setValues(Adjuster.defaults);
+        this.onChange(this.getValues());
+      })
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Bake', () => this.onBake())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Done', () => this.onClose())
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.controls);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__adjuster',
+      controls: 'image-tool__adjuster-controls',
+      control: 'image-tool__adjuster-control',
+      title: 'image-tool__adjuster-title',
+      range: 'image-tool__adjuster-range',
+      toolbar: 'image-tool__adjuster-toolbar',
+      button: 'image-tool__cropper-button',
+    };
+  }
+
+  /**
+   * Sliders in the panel order
+   *
+   * @returns {Array<{name: string, title: string, min: number, max: number}>}
+   */
+  static get controls() {
+    return [
+      {
+        name: 'brightness',
+        title: 'Brightness',
+        min: 0,
+        max: 200,
+      },
+      {
+        name: 'contrast',
+        title: 'Contrast',
+        min: 0,
+        max: 200,
+      },
+      {
+        name: 'saturation',
+        title: 'Saturation',
+        min: 0,
+        max: 200,
+      },
+      {
+        name: 'grayscale',
+        title: 'Grayscale',
+        min: 0,
+        max: 100,
+      },
+      {
+        name: 'sepia',
+        title: 'Sepia',
+        min: 0,
+        max: 100,
+      },
+      {
+        name: 'sharpen',
+        title: 'Sharpen',
+        min: 0,
+        max: 100,
+      },
+    ];
+  }
+
+  /**
+   * Values that keep the image as is
+   *
+   * @returns {ImageAdjustments}
+   */
+  static get defaults() {
+    return {
+      brightness: 100,
+      contrast: 100,
+      saturation: 100,
+      grayscale: 0,
+      sepia: 0,
+      sharpen: 0,
+    };
+  }
+
+  /**
+   * Fills missing values with defaults and clamps others to the slider ranges
+   *
+   * @param {object} [adjustments] - saved adjustments
+   * @returns {ImageAdjustments}
+   */
+  static normalize(adjustments) {
+    const values = Adjuster.defaults;
+
+    Adjuster.controls.forEach(({ name, min, max }) => {
+      const value = adjustments && adjustments[name];
+
+      if (typeof value === 'number' && isFinite(value)) {
+        values[name] = Math.min(max, Math.max(min, Math.round(value)));
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Checks if adjustments change the image
+   *
+   * @param {ImageAdjustments} adjustments - adjustments to check
+   * @returns {boolean}
+   */
+  static isChanged(adjustments) {
+    const defaults = Adjuster.defaults;
+
+    return Object.keys(defaults).some(
+      (name) => adjustments[name] !== defaults[name]
+    );
+  }
+
+  /**
+   * Converts colour adjustments to the CSS filter value. Sharpen has no CSS function, it is applied by SVG filter
+   *
+   * @param {ImageAdjustments} adjustments - adjustments to convert
+   * @returns {string} empty string when colours are not changed
+   */
+  static toCssFilter(adjustments) {
+    const defaults = Adjuster.defaults;
+    const functions = {
+      brightness: 'brightness',
+      contrast: 'contrast',
+      saturation: 'saturate',
+      grayscale: 'grayscale',
+      sepia: 'sepia',
+    };
+
+    return Object.keys(functions)
+      .filter((name) => adjustments[name] !== defaults[name])
+      .map((name) => `${functions[name]}(${adjustments[name]}%)`)
+      .join(' ');
+  }
+
+  /**
+   * Shows the panel with current values
+   *
+   * @param {ImageAdjustments} adjustments - current adjustments
+   * @returns {Element} panel wrapper
+   */
+  open(adjustments) {
+    this.setValues(adjustments);
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the panel
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Moves sliders to passed values
+   *
+   * @param {ImageAdjustments} adjustments - values to show
+   * @returns {void}
+   */
+  setValues(adjustments) {
+    Object.entries(this.nodes.inputs).forEach(([name, input]) => {
+      input.value = adjustments[name];
+    });
+  }
+
+  /**
+   * Returns slider values
+   *
+   * @returns {ImageAdjustments}
+   */
+  getValues() {
+    const values = {};
+
+    Object.entries(this.nodes.inputs).forEach(([name, input]) => {
+      values[name] = Number(input.value);
+    });
+
+    return values;
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
@@ -0,0 +1,839 @@
+import { make } from './utils/dom';
+
+/**
+ * @typedef {object} ImageAnnotation
+ * @description Vector shape drawn over the image. Coordinates are normalized to the natural image size (0..1),
+ *              stroke width and font size — to the image width
+ * @property {string} type - 'arrow', 'rect', 'ellipse', 'pen' or 'text'
+ * @property {number[]} [points] - arrow ends or freehand path as x, y pairs
+ * @property {number} [x] - left edge of the rect or ellipse box, text position
+ * @property {number} [y] - top edge of the rect or ellipse box, text position
+ * @property {number} [width] - rect or ellipse box width
+ * @property {number} [height] - rect or ellipse box height
+ * @property {string} [text] - label text
+ * @property {number} [fontSize] - label font size
+ * @property {string} color - stroke or text colour
+ * @property {number} strokeWidth - line width
+ */
+
+/**
+ * SVG namespace for read-only rendering
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Width of the SVG coordinate system, height follows the image proportions
+ */
+const SVG_WIDTH = 1000;
+
+/**
+ * Annotation mode: draws arrows, rectangles, ellipses, freehand strokes and text labels
+ * on a Konva layer above the whole image. Shapes are returned as {@link ImageAnnotation} vector data
+ */
+export default class Annotator {
+  /**
+   * @param {object} params - annotator module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageAnnotation[]): void} params.onApply - fired with all drawn shapes
+   * @param {Function} params.onCancel - fired when annotation mode is closed without changes
+   */
+  constructor({ api, config, onApply, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onApply = onApply;
+    this.onCancel = onCancel;
+
+    /**
+     * Current drawing tool, one of {@link Annotator.tools}
+     *
+     * @type {string}
+     */
+    this.tool = 'arrow';
+    this.color = this.config.annotationColors[0];
+    this.strokeWidth = this.config.annotationStrokeWidths[0];
+
+    /**
+     * Shape that is being drawn right now
+     *
+     * @type {object|null}
+     */
+    this.drawing = null;
+    this.konva = {};
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      stage: make('div', this.CSS.stage),
+      toolbar: make('div', this.CSS.toolbar),
+      toolButtons: {},
+      colorButtons: [],
+      strokeButtons: [],
+    };
+
+    Annotator.tools.forEach((tool) => {
+      const button = this.createButton(
+        tool.charAt(0).toUpperCase() + tool.slice(1),
+        () => this.setTool(tool)
+      );
+
+      this.nodes.toolButtons[tool] = button;
+      this.nodes.toolbar.appendChild(button);
+    });
+
+    this.config.annotationColors.forEach((color) => {
+      const button = this.createButton('', () => this.setColor(color));
+
+      button.classList.add(this.CSS.colorButton);
+      button.style.backgroundColor = color;
+      button.title = color;
+      button.dataset.color = color;
+      this.nodes.colorButtons.push(button);
+      this.nodes.toolbar.appendChild(button);
+    });
+
+    this.config.annotationStrokeWidths.forEach((width) => {
+      const button = this.createButton(`${width}px`, () =>
+        this.setStrokeWidth(width)
+      );
+
+      button.dataset.width = width;
+      this.nodes.strokeButtons.push(button);
+      this.nodes.toolbar.appendChild(button);
+    });
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Delete', () => this.removeSelected())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Clear', () => this.clear())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Apply', () => this.onApply(this.getShapes()))
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.stage);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__annotator',
+      stage: 'image-tool__annotator-stage',
+      toolbar: 'image-tool__annotator-toolbar',
+      button: 'image-tool__cropper-button',
+      buttonActive: 'image-tool__cropper-button--active',
+      colorButton: 'image-tool__annotator-color',
+      textInput: 'image-tool__annotator-text',
+    };
+  }
+
+  /**
+   * Available tools: 'select' moves and removes shapes, others draw them
+   *
+   * @returns {string[]}
+   */
+  static get tools() {
+    return ['select', 'arrow', 'rect', 'ellipse', 'pen', 'text'];
+  }
+
+  /**
+   * Default colour swatches
+   *
+   * @returns {string[]}
+   */
+  static get colors() {
+    return ['#e13f3f', '#388ae5', '#27ae60', '#f5a623', '#000000', '#ffffff'];
+  }
+
+  /**
+   * Default stroke widths in pixels of the annotation stage
+   *
+   * @returns {number[]}
+   */
+  static get strokeWidths() {
+    return [2, 4, 8];
+  }
+
+  /**
+   * Renders shapes as SVG that is stretched over the image
+   *
+   * @param {ImageAnnotation[]} shapes - saved shapes
+   * @param {number} ratio - image height divided by width
+   * @returns {SVGElement}
+   */
+  static render(shapes, ratio) {
+    const width = SVG_WIDTH;
+    const height = SVG_WIDTH * ratio;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+
+    /**
+     * Creates SVG element with attributes
+     *
+     * @param {string} tag - element name
+     * @param {object} attributes - element attributes
+     * @returns {SVGElement}
+     */
+    const create = (tag, attributes) => {
+      const el = document.createElementNS(SVG_NS, tag);
+
+      Object.entries(attributes).forEach(([name, value]) => {
+        el.setAttribute(name, value);
+      });
+
+      return el;
+    };
+
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('aria-hidden', 'true');
+
+    shapes.forEach((shape) => {
+      const strokeWidth = shape.strokeWidth * width;
+      const stroke = {
+        fill: 'none',
+        stroke: shape.color,
+        'stroke-width': strokeWidth,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+      };
+      const points = (shape.points || []).map((value, index) =>
+        index % 2 ? value * height : value * width
+      );
+
+      switch (shape.type) {
+        case 'rect':
+          svg.appendChild(
+            create(
+              'rect',
+              Object.assign(
+                {
+                  x: shape.x * width,
+                  y: shape.y * height,
+                  width: shape.width * width,
+                  height: shape.height * height,
+                },
+                stroke
+              )
+            )
+          );
+          break;
+        case 'ellipse':
+          svg.appendChild(
+            create(
+              'ellipse',
+              Object.assign(
+                {
+                  cx: (shape.x + shape.width / 2) * width,
+                  cy: (shape.y + shape.height / 2) * height,
+                  rx: (shape.width / 2) * width,
+                  ry: (shape.height / 2) * height,
+                },
+                stroke
+              )
+            )
+          );
+          break;
+        case 'pen':
+          svg.appendChild(
+            create(
+              'polyline',
+              Object.assign({ points: points.join(' ') }, stroke)
+            )
+          );
+          break;
+        case 'arrow': {
+          const [x1, y1, x2, y2] = points;
+          const angle = Math.atan2(y2 - y1, x2 - x1);
+          const head = strokeWidth * 4;
+          const baseX = x2 - head * Math.cos(angle);
+          const baseY = y2 - head * Math.sin(angle);
+          const sideX = (head / 2) * Math.sin(angle);
+          const sideY = (head / 2) * Math.cos(angle);
+
+          svg.appendChild(
+            create(
+              'line',
+              Object.assign({
+                x1,
+                y1,
+                x2: baseX,
+                y2: baseY,
+              }, stroke)
+            )
+          );
+          svg.appendChild(
+            create('polygon', {
+              points: [
+                x2,
+                y2,
+                baseX + sideX,
+                baseY - sideY,
+                baseX - sideX,
+                baseY + sideY,
+              ].join(' '),
+              fill: shape.color,
+            })
+          );
+          break;
+        }
+        case 'text': {
+          const text = create('text', {
+            x: shape.x * width,
+            y: shape.y * height,
+            fill: shape.color,
+            'font-size': shape.fontSize * width,
+            'font-family': 'Arial',
+            'dominant-baseline': 'hanging',
+          });
+
+          text.textContent = shape.text;
+          svg.appendChild(text);
+          break;
+        }
+      }
+    });
+
+    return svg;
+  }
+
+  /**
+   * Shows the whole image with editable shapes over it
+   *
+   * @param {HTMLImageElement} imageEl - loaded image element
+   * @param {ImageAnnotation[]} shapes - saved shapes
+   * @param {number} maxWidth - max stage width
+   * @returns {Element} annotation mode wrapper
+   */
+  open(imageEl, shapes, maxWidth) {
+    const MAX_HEIGHT = 500;
+    const scale = Math.min(
+      1,
+      maxWidth / imageEl.naturalWidth,
+      MAX_HEIGHT / imageEl.naturalHeight
+    );
+    const width = imageEl.naturalWidth * scale;
+    const height = imageEl.naturalHeight * scale;
+
+    const stage = new Konva.Stage({
+      container: this.nodes.stage,
+      width,
+      height,
+    });
+    const layer = new Konva.Layer();
+    const group = new Konva.Group();
+    const transformer = new Konva.Transformer({
+      resizeEnabled: false,
+      rotateEnabled: false,
+    });
+
+    stage.add(layer);
+    layer.add(new Konva.Image({
+      image: imageEl,
+      width,
+      height,
+    }));
+    layer.add(group);
+    layer.add(transformer);
+
+    this.konva = {
+      stage,
+      layer,
+      group,
+      transformer,
+      width,
+      height,
+    };
+
+    shapes.forEach((shape) => this.addShape(shape));
+
+    stage.on('mousedown touchstart', (e) => this.onPointerDown(e));
+    stage.on('mousemove touchmove', () => this.onPointerMove());
+    stage.on('mouseup touchend', () => this.onPointerUp());
+
+    this.setTool(this.tool);
+    this.setColor(this.color);
+    this.setStrokeWidth(this.strokeWidth);
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the stage
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.konva.stage) {
+      this.konva.stage.destroy();
+    }
+    this.konva = {};
+    this.drawing = null;
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Selects drawing tool. Shapes can be dragged with the select tool only
+   *
+   * @param {string} tool - one of {@link Annotator.tools}
+   * @returns {void}
+   */
+  setTool(tool) {
+    this.tool = tool;
+
+    Object.entries(this.nodes.toolButtons).forEach(([name, button]) => {
+      button.classList.toggle(this.CSS.buttonActive, name === tool);
+    });
+
+    if (this.konva.group) {
+      this.konva.group.children.forEach((node) => {
+        node.draggable(tool === 'select');
+      });
+      this.select(null);
+    }
+  }
+
+  /**
+   * Selects colour of the new shapes and recolours the selected one
+   *
+   * @param {string} color - CSS colour
+   * @returns {void}
+   */
+  setColor(color) {
+    this.color = color;
+    this.nodes.colorButtons.forEach((button) => {
+      button.classList.toggle(
+        this.CSS.buttonActive,
+        button.dataset.color === color
+      );
+    });
+
+    const [ selected ] = this.konva.transformer
+      ? this.konva.transformer.nodes()
+      : [];
+
+    if (selected) {
+      selected.setAttr(
+        selected.getAttr('annotationType') === 'text' ? 'fill' : 'stroke',
+        color
+      );
+      if (selected.getAttr('annotationType') === 'arrow') {
+        selected.fill(color);
+      }
+      this.konva.layer.batchDraw();
+    }
+  }
+
+  /**
+   * Selects stroke width of the new shapes
+   *
+   * @param {number} width - width in pixels of the stage
+   * @returns {void}
+   */
+  setStrokeWidth(width) {
+    this.strokeWidth = width;
+    this.nodes.strokeButtons.forEach((button) => {
+      button.classList.toggle(
+        this.CSS.buttonActive,
+        Number(button.dataset.width) === width
+      );
+    });
+  }
+
+  /**
+   * Highlights the shape, null to reset selection
+   *
+   * @param {object|null} node - Konva shape
+   * @returns {void}
+   */
+  select(node) {
+    this.konva.transformer.nodes(node ? [ node ] : []);
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Removes selected shape
+   *
+   * @returns {void}
+   */
+  removeSelected() {
+    this.konva.transformer.nodes().forEach((node) => node.destroy());
+    this.select(null);
+  }
+
+  /**
+   * Removes all shapes
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.konva.group.destroyChildren();
+    this.select(null);
+  }
+
+  /**
+   * Starts drawing with the current tool or selects the clicked shape
+   *
+   * @param {object} e - Konva event
+   * @returns {void}
+   */
+  onPointerDown(e) {
+    const { group } = this.konva;
+    const pos = this.konva.stage.getPointerPosition();
+
+    if (this.tool === 'select') {
+      this.select(e.target.parent === group ? e.target : null);
+
+      return;
+    }
+
+    if (this.tool === 'text') {
+      this.editText(pos);
+
+      return;
+    }
+
+    const common = {
+      stroke: this.color,
+      strokeWidth: this.strokeWidth,
+      lineCap: 'round',
+      lineJoin: 'round',
+      annotationType: this.tool,
+    };
+    let node;
+
+    switch (this.tool) {
+      case 'arrow':
+        node = new Konva.Arrow(
+          Object.assign(
+            {
+              points: [pos.x, pos.y, pos.x, pos.y],
+              fill: this.color,
+              pointerLength: this.strokeWidth * 4,
+              pointerWidth: this.strokeWidth * 4,
+            },
+            common
+          )
+        );
+        break;
+      case 'pen':
+        node = new Konva.Line(
+          Object.assign({ points: [pos.x, pos.y] }, common)
+        );
+        break;
+      case 'rect':
+        node = new Konva.Rect(
+          Object.assign({
+            x: pos.x,
+            y: pos.y,
+            width: 0,
+            height: 0,
+          }, common)
+        );
+        break;
+      case 'ellipse':
+        node = new Konva.Ellipse(
+          Object.assign({
+            x: pos.x,
+            y: pos.y,
+            radiusX: 0,
+            radiusY: 0,
+          }, common)
+        );
+        break;
+    }
+
+    group.add(node);
+    this.drawing = {
+      node,
+      start: pos,
+    };
+  }
+
+  /**
+   * Updates the shape that is being drawn
+   *
+   * @returns {void}
+   */
+  onPointerMove() {
+    if (!this.drawing) {
+      return;
+    }
+
+    const { node, start } = this.drawing;
+    const pos = this.konva.stage.getPointerPosition();
+
+    switch (node.getAttr('annotationType')) {
+      case 'arrow':
+        node.points([start.x, start.y, pos.x, pos.y]);
+        break;
+      case 'pen':
+        node.points(node.points().concat([pos.x, pos.y]));
+        break;
+      case 'rect':
+        node.position({
+          x: Math.min(start.x, pos.x),
+          y: Math.min(start.y, pos.y),
+        });
+        node.size({
+          width: Math.abs(pos.x - start.x),
+          height: Math.abs(pos.y - start.y),
+        });
+        break;
+      case 'ellipse':
+        node.position({
+          x: (start.x + pos.x) / 2,
+          y: (start.y + pos.y) / 2,
+        });
+        node.radius({
+          x: Math.abs(pos.x - start.x) / 2,
+          y: Math.abs(pos.y - start.y) / 2,
+        });
+        break;
+    }
+
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Finishes drawing, accidental clicks without movement are dropped
+   *
+   * @returns {void}
+   */
+  onPointerUp() {
+    if (!this.drawing) {
+      return;
+    }
+
+    const { node } = this.drawing;
+    const MIN_SIZE = 3;
+    const box = node.getClientRect({ skipStroke: true });
+
+    if (box.width < MIN_SIZE && box.height < MIN_SIZE) {
+      node.destroy();
+      this.konva.layer.batchDraw();
+    }
+
+    this.drawing = null;
+  }
+
+  /**
+   * Shows input for the new text label
+   *
+   * @param {{x: number, y: number}} pos - label position on the stage
+   * @returns {void}
+   */
+  editText(pos) {
+    const input = make('input', this.CSS.textInput, {
+      type: 'text',
+      placeholder: this.api.i18n.t('Label'),
+    });
+    let isDone = false;
+
+    /**
+     * Adds label with the entered text
+     *
+     * @returns {void}
+     */
+    const done = () => {
+      if (isDone) {
+        return;
+      }
+      isDone = true;
+
+      if (input.value.trim()) {
+        this.konva.group.add(
+          new Konva.Text({
+            x: pos.x,
+            y: pos.y,
+            text: input.value.trim(),
+            fill: this.color,
+            fontSize: 12 + this.strokeWidth * 3,
+            fontFamily: 'Arial',
+            annotationType: 'text',
+          })
+        );
+        this.konva.layer.batchDraw();
+      }
+      input.remove();
+    };
+
+    input.style.left = `${pos.x}px`;
+    input.style.top = `${pos.y}px`;
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        done();
+      }
+      e.stopPropagation();
+    });
+    input.addEventListener('blur', done);
+
+    this.nodes.stage.appendChild(input);
+    setTimeout(() => input.focus());
+  }
+
+  /**
+   * Adds saved shape to the stage
+   *
+   * @param {ImageAnnotation} shape - saved shape
+   * @returns {void}
+   */
+  addShape(shape) {
+    const { width, height, group } = this.konva;
+    const strokeWidth = shape.strokeWidth * width;
+    const common = {
+      stroke: shape.color,
+      strokeWidth,
+      lineCap: 'round',
+      lineJoin: 'round',
+      annotationType: shape.type,
+    };
+    const points = (shape.points || []).map((value, index) =>
+      index % 2 ? value * height : value * width
+    );
+    let node;
+
+    switch (shape.type) {
+      case 'arrow':
+        node = new Konva.Arrow(
+          Object.assign(
+            {
+              points,
+              fill: shape.color,
+              pointerLength: strokeWidth * 4,
+              pointerWidth: strokeWidth * 4,
+            },
+            common
+          )
+        );
+        break;
+      case 'pen':
+        node = new Konva.Line(Object.assign({ points }, common));
+        break;
+      case 'rect':
+        node = new Konva.Rect(
+          Object.assign(
+            {
+              x: shape.x * width,
+              y: shape.y * height,
+              width: shape.width * width,
+              height: shape.height * height,
+            },
+            common
+          )
+        );
+        break;
+      case 'ellipse':
+        node = new Konva.Ellipse(
+          Object.assign(
+            {
+              x: (shape.x + shape.width / 2) * width,
+              y: (shape.y + shape.height / 2) * height,
+              radiusX: (shape.width / 2) * width,
+              radiusY: (shape.height / 2) * height,
+            },
+            common
+          )
+        );
+        break;
+      case 'text':
+        node = new Konva.Text({
+          x: shape.x * width,
+          y: shape.y * height,
+          text: shape.text,
+          fill: shape.color,
+          fontSize: shape.fontSize * width,
+          fontFamily: 'Arial',
+          annotationType: 'text',
+        });
+        break;
+      default:
+        return;
+    }
+
+    group.add(node);
+  }
+
+  /**
+   * Returns all shapes normalized to the image size
+   *
+   * @returns {ImageAnnotation[]}
+   */
+  getShapes() {
+    const { width, height, group } = this.konva;
+    const round = (value) => Math.round(value * 10000) / 10000;
+
+    return group.children.map((node) => {
+      const type = node.getAttr('annotationType');
+      const shape = {
+        type,
+        color: type === 'text' ? node.fill() : node.stroke(),
+        strokeWidth: round((node.strokeWidth() || 0) / width),
+      };
+
+      switch (type) {
+        case 'arrow':
+        case 'pen':
+          shape.points = node
+            .points()
+            .map((value, index) =>
+              index % 2
+                ? round((value + node.y()) / height)
+                : round((value + node.x()) / width)
+            );
+          break;
+        case 'rect':
+          Object.assign(shape, {
+            x: round(node.x() / width),
+            y: round(node.y() / height),
+            width: round(node.width() / width),
+            height: round(node.height() / height),
+          });
+          break;
+        case 'ellipse':
+          Object.assign(shape, {
+            x: round((node.x() - node.radiusX()) / width),
+            y: round((node.y() - node.radiusY()) / height),
+            width: round((node.radiusX() * 2) / width),
+            height: round((node.radiusY() * 2) / height),
+          });
+          break;
+        case 'text':
+          Object.assign(shape, {
+            x: round(node.x() / width),
+            y: round(node.y() / height),
+            text: node.text(),
+            fontSize: round(node.fontSize() / width),
+          });
+          break;
+      }
+
+      return shape;
+    });
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: title ? this.api.i18n.t(title) : '',
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
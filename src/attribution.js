@@ -0,0 +1,277 @@
+import { make } from './utils/dom';
+import isSafeUrl from './utils/isSafeUrl';
+
+/**
+ * @typedef {object} ImageMeta
+ * @description Attribution of the image, empty strings for unknown values
+ * @property {string} credit - author or photographer credit
+ * @property {string} source - URL of the image source
+ * @property {string} license - license name, e.g. 'CC BY 4.0' or 'Editorial use only'
+ */
+
+/**
+ * Counter for unique ids of the license suggestions, one list per block
+ */
+let licensesIndex = 0;
+
+/**
+ * Attribution panel: credit, source URL and license of the image.
+ * Readers get them as a credit line under the image, see {@link Attributor.render}
+ */
+export default class Attributor {
+  /**
+   * @param {object} params - attributor module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageMeta): void} params.onSave - fired with the entered values
+   * @param {Function} params.onCancel - fired when the panel is closed without changes
+   */
+  constructor({ api, config, onSave, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onSave = onSave;
+    this.onCancel = onCancel;
+
+    licensesIndex++;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      controls: make('div', this.CSS.controls),
+      toolbar: make('div', this.CSS.toolbar),
+      inputs: {
+        credit: make('input', this.CSS.input, { type: 'text' }),
+        source: make('input', this.CSS.input, { type: 'url' }),
+        license: make('input', this.CSS.input, { type: 'text' }),
+      },
+      licenses: make('datalist', null, {
+        id: `image-tool-licenses-${licensesIndex}`,
+      }),
+    };
+
+    this.config.licenses.forEach((license) => {
+      this.nodes.licenses.appendChild(make('option', null, { value: license }));
+    });
+    this.nodes.inputs.license.setAttribute('list', this.nodes.licenses.id);
+
+    Attributor.fields.forEach(({ name, title }) => {
+      const input = this.nodes.inputs[name];
+      const label = make('label', this.CSS.control);
+
+      /**
+       * Do not let Editor.js handle Enter and Backspace in the inputs
+       */
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.save();
+        }
+        e.stopPropagation();
+      });
+      input.addEventListener('paste', (e) => e.stopPropagation());
+
+      label.appendChild(
+        make('span', this.CSS.title, { textContent: this.api.i18n.t(title) })
+      );
+      label.appendChild(input);
+      this.nodes.controls.appendChild(label);
+    });
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Save', () => this.save())
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.controls);
+    this.nodes.wrapper.appendChild(this.nodes.licenses);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__attributor',
+      controls: 'image-tool__attributor-controls',
+      control: 'image-tool__attributor-control',
+      title: 'image-tool__attributor-title',
+      input: 'image-tool__attributor-input',
+      invalid: 'image-tool__attributor-input--invalid',
+      toolbar: 'image-tool__attributor-toolbar',
+      button: 'image-tool__cropper-button',
+    };
+  }
+
+  /**
+   * Fields in the panel order
+   *
+   * @returns {Array<{name: string, title: string}>}
+   */
+  static get fields() {
+    return [
+      {
+        name: 'credit',
+        title: 'Credit',
+      },
+      {
+        name: 'source',
+        title: 'Source URL',
+      },
+      {
+        name: 'license',
+        title: 'License',
+      },
+    ];
+  }
+
+  /**
+   * License suggestions used when config has none
+   *
+   * @returns {string[]}
+   */
+  static get licenses() {
+    return [
+      'CC BY 4.0',
+      'CC BY-SA 4.0',
+      'CC BY-NC 4.0',
+      'CC0 1.0',
+      'Public domain',
+      'Editorial use only',
+      'All rights reserved',
+    ];
+  }
+
+  /**
+   * Fills missing values with empty strings, unsafe source URLs are dropped
+   *
+   * @param {object} [meta] - saved or pre-filled metadata
+   * @returns {ImageMeta}
+   */
+  static normalize(meta) {
+    const values = {};
+
+    Attributor.fields.forEach(({ name }) => {
+      const value = meta && meta[name];
+
+      values[name] = typeof value === 'string' ? value.trim() : '';
+    });
+
+    if (!isSafeUrl(values.source)) {
+      values.source = '';
+    }
+
+    return values;
+  }
+
+  /**
+   * Renders credit line: credit linked to the source and license, null when metadata is empty
+   *
+   * @param {ImageMeta} meta - image metadata
+   * @param {object} api - Editor.js API, used for translations
+   * @returns {Element|null}
+   */
+  static render(meta, api) {
+    const { credit, source, license } = meta;
+
+    if (!credit && !source && !license) {
+      return null;
+    }
+
+    const line = make('div');
+
+    if (credit || source) {
+      const text = credit || api.i18n.t('Source');
+      const author = source
+        ? make('a', null, {
+          href: source,
+          textContent: text,
+        })
+        : make('span', null, { textContent: text });
+
+      if (source) {
+        author.rel = 'noopener noreferrer';
+        author.target = '_blank';
+      }
+      line.appendChild(author);
+    }
+
+    if (license) {
+      if (line.childNodes.length) {
+        line.appendChild(document.createTextNode(' · '));
+      }
+      line.appendChild(make('span', null, { textContent: license }));
+    }
+
+    return line;
+  }
+
+  /**
+   * Shows the panel with current values
+   *
+   * @param {ImageMeta} meta - current metadata
+   * @returns {Element} panel wrapper
+   */
+  open(meta) {
+    Object.entries(this.nodes.inputs).forEach(([name, input]) => {
+      input.value = meta[name];
+    });
+    this.nodes.inputs.source.classList.remove(this.CSS.invalid);
+    setTimeout(() => this.nodes.inputs.credit.focus());
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the panel
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Passes entered values, unsafe source URL is highlighted instead
+   *
+   * @returns {void}
+   */
+  save() {
+    const values = {};
+
+    Object.entries(this.nodes.inputs).forEach(([name, input]) => {
+      values[name] = input.value;
+    });
+
+    const meta = Attributor.normalize(values);
+
+    if (values.source.trim() && !meta.source) {
+      this.nodes.inputs.source.classList.add(this.CSS.invalid);
+
+      return;
+    }
+
+    this.onSave(meta);
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
@@ -0,0 +1,347 @@
+import { make } from './utils/dom';
+
+/**
+ * @typedef {object} ImageCrop
+ * @description Crop rectangle in coordinates normalized to the natural image size (0..1)
+ * @property {number} x - left edge
+ * @property {number} y - top edge
+ * @property {number} width - crop width
+ * @property {number} height - crop height
+ */
+
+/**
+ * @typedef {object} CropRatio
+ * @description Aspect-ratio preset shown in the crop toolbar
+ * @property {string} title - button label
+ * @property {number} ratio - width divided by height, 0 for free crop
+ */
+
+/**
+ * Crop mode: renders the whole image on a Konva stage with a movable crop frame
+ * and aspect-ratio presets. Original image is never changed, crop is returned as {@link ImageCrop}
+ */
+export default class Cropper {
+  /**
+   * @param {object} params - cropper module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageCrop|null): void} params.onApply - fired with selected crop, null when whole image is selected
+   * @param {Function} params.onCancel - fired when crop mode is closed without changes
+   */
+  constructor({ api, config, onApply, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onApply = onApply;
+    this.onCancel = onCancel;
+
+    /**
+     * Currently selected ratio, 0 for free crop
+     *
+     * @type {number}
+     */
+    this.ratio = 0;
+    this.konva = {};
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      stage: make('div', this.CSS.stage),
+      toolbar: make('div', this.CSS.toolbar),
+      ratioButtons: [],
+    };
+
+    this.ratios.forEach(({ title, ratio }) => {
+      const button = this.createButton(title, () => this.setRatio(ratio));
+
+      button.dataset.ratio = ratio;
+      this.nodes.ratioButtons.push(button);
+      this.nodes.toolbar.appendChild(button);
+    });
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Reset', () => this.onApply(null))
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Apply', () => this.onApply(this.getCrop()))
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.stage);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__cropper',
+      stage: 'image-tool__cropper-stage',
+      toolbar: 'image-tool__cropper-toolbar',
+      button: 'image-tool__cropper-button',
+      buttonActive: 'image-tool__cropper-button--active',
+    };
+  }
+
+  /**
+   * Built-in aspect-ratio presets
+   *
+   * @returns {CropRatio[]}
+   */
+  static get ratios() {
+    return [
+      {
+        title: 'Free',
+        ratio: 0,
+      },
+      {
+        title: '1:1',
+        ratio: 1,
+      },
+      {
+        title: '4:3',
+        ratio: 4 / 3,
+      },
+      {
+        title: '16:9',
+        ratio: 16 / 9,
+      },
+    ];
+  }
+
+  /**
+   * Transformer anchors for ratio presets: only corners keep proportions
+   *
+   * @returns {string[]}
+   */
+  static get cornerAnchors() {
+    return ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+  }
+
+  /**
+   * Transformer anchors for free crop
+   *
+   * @returns {string[]}
+   */
+  static get allAnchors() {
+    return Cropper.cornerAnchors.concat([
+      'top-center',
+      'middle-right',
+      'middle-left',
+      'bottom-center',
+    ]);
+  }
+
+  /**
+   * Built-in presets merged with the ones passed via config
+   *
+   * @returns {CropRatio[]}
+   */
+  get ratios() {
+    return Cropper.ratios.concat(this.config.cropRatios);
+  }
+
+  /**
+   * Shows the whole image with the crop frame over it
+   *
+   * @param {HTMLImageElement} imageEl - loaded image element
+   * @param {ImageCrop|null} crop - current crop, null for whole image
+   * @param {number} maxWidth - max stage width
+   * @returns {Element} crop mode wrapper
+   */
+  open(imageEl, crop, maxWidth) {
+    const MAX_HEIGHT = 500;
+    const scale = Math.min(
+      1,
+      maxWidth / imageEl.naturalWidth,
+      MAX_HEIGHT / imageEl.naturalHeight
+    );
+    const width = imageEl.naturalWidth * scale;
+    const height = imageEl.naturalHeight * scale;
+    const area = crop || {
+      x: 0,
+      y: 0,
+      width: 1,
+      height: 1,
+    };
+
+    const stage = new Konva.Stage({
+      container: this.nodes.stage,
+      width,
+      height,
+    });
+    const layer = new Konva.Layer();
+
+    stage.add(layer);
+    layer.add(new Konva.Image({
+      image: imageEl,
+      width,
+      height,
+    }));
+
+    const frame = new Konva.Rect({
+      x: area.x * width,
+      y: area.y * height,
+      width: area.width * width,
+      height: area.height * height,
+      fill: 'rgba(255, 255, 255, 0.15)',
+      stroke: '#fff',
+      strokeWidth: 1,
+      dash: [4, 4],
+      draggable: true,
+      dragBoundFunc: (pos) => ({
+        x: Math.min(Math.max(pos.x, 0), width - frame.width()),
+        y: Math.min(Math.max(pos.y, 0), height - frame.height()),
+      }),
+    });
+
+    const transformer = new Konva.Transformer({
+      rotateEnabled: false,
+      flipEnabled: false,
+      boundBoxFunc: (oldBox, newBox) => {
+        const MIN_SIZE = 10;
+
+        if (
+          newBox.x < 0 ||
+          newBox.y < 0 ||
+          newBox.x + newBox.width > width + 1 ||
+          newBox.y + newBox.height > height + 1 ||
+          newBox.width < MIN_SIZE ||
+          newBox.height < MIN_SIZE
+        ) {
+          return oldBox;
+        }
+
+        return newBox;
+      },
+    });
+
+    /**
+     * Transformer scales the frame: bake scale into size to keep drag bounds simple
+     */
+    frame.on('transformend', () => {
+      frame.width(frame.width() * frame.scaleX());
+      frame.height(frame.height() * frame.scaleY());
+      frame.scale({
+        x: 1,
+        y: 1,
+      });
+    });
+
+    layer.add(frame);
+    layer.add(transformer);
+    transformer.nodes([ frame ]);
+
+    this.konva = {
+      stage,
+      layer,
+      frame,
+      transformer,
+      width,
+      height,
+    };
+    this.setRatio(0);
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the stage
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.konva.stage) {
+      this.konva.stage.destroy();
+    }
+    this.konva = {};
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Selects aspect-ratio preset and fits the frame into it
+   *
+   * @param {number} ratio - width divided by height, 0 for free crop
+   * @returns {void}
+   */
+  setRatio(ratio) {
+    const { frame, transformer, width, height } = this.konva;
+
+    this.ratio = ratio;
+    this.nodes.ratioButtons.forEach((button) => {
+      button.classList.toggle(
+        this.CSS.buttonActive,
+        Number(button.dataset.ratio) === ratio
+      );
+    });
+
+    transformer.keepRatio(ratio > 0);
+    transformer.enabledAnchors(
+      ratio > 0 ? Cropper.cornerAnchors : Cropper.allAnchors
+    );
+
+    if (ratio > 0) {
+      const centerX = frame.x() + frame.width() / 2;
+      const centerY = frame.y() + frame.height() / 2;
+      const frameWidth = Math.min(frame.width(), frame.height() * ratio);
+      const frameHeight = frameWidth / ratio;
+
+      frame.size({
+        width: frameWidth,
+        height: frameHeight,
+      });
+      frame.position({
+        x: Math.min(Math.max(centerX - frameWidth / 2, 0), width - frameWidth),
+        y: Math.min(
+          Math.max(centerY - frameHeight / 2, 0),
+          height - frameHeight
+        ),
+      });
+    }
+
+    transformer.forceUpdate();
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Returns current frame position normalized to image size
+   *
+   * @returns {ImageCrop|null} null when the frame covers the whole image
+   */
+  getCrop() {
+    const { frame, width, height } = this.konva;
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const crop = {
+      x: round(frame.x() / width),
+      y: round(frame.y() / height),
+      width: round(frame.width() / width),
+      height: round(frame.height() / height),
+    };
+
+    if (crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1) {
+      return null;
+    }
+
+    return crop;
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
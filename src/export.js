@@ -0,0 +1,205 @@
+import { make } from './utils/dom';
+
+/**
+ * Export panel: output size and format for "Save as new image".
+ * Edited image is rendered by {@link exportImage} and uploaded by the Tool
+ */
+export default class Exporter {
+  /**
+   * @param {object} params - exporter module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ExportOptions): void} params.onSave - fired with chosen output settings
+   * @param {Function} params.onCancel - fired when the panel is closed without saving
+   */
+  constructor({ api, config, onSave, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onSave = onSave;
+    this.onCancel = onCancel;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      controls: make('div', this.CSS.controls),
+      toolbar: make('div', this.CSS.toolbar),
+      width: make('input', this.CSS.input, {
+        type: 'number',
+        min: 1,
+        step: 1,
+      }),
+      type: make('select', this.CSS.input),
+      quality: make('input', this.CSS.input, {
+        type: 'range',
+        min: 10,
+        max: 100,
+        step: 1,
+        value: 92,
+      }),
+    };
+
+    Exporter.formats.forEach(({ title, type }) => {
+      this.nodes.type.appendChild(
+        make('option', null, {
+          value: type,
+          textContent: title,
+        })
+      );
+    });
+
+    this.nodes.type.addEventListener('change', () => this.applyType());
+
+    /**
+     * Do not let Editor.js handle Enter as a new block
+     */
+    this.nodes.width.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.save();
+      }
+      e.stopPropagation();
+    });
+
+    this.nodes.controls.appendChild(
+      this.createControl('Width (px)', this.nodes.width)
+    );
+    this.nodes.controls.appendChild(
+      this.createControl('Format', this.nodes.type)
+    );
+    this.nodes.controls.appendChild(
+      this.createControl('Quality', this.nodes.quality)
+    );
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Save as new image', () => this.save())
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.controls);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__exporter',
+      controls: 'image-tool__exporter-controls',
+      control: 'image-tool__exporter-control',
+      title: 'image-tool__exporter-title',
+      input: 'image-tool__exporter-input',
+      toolbar: 'image-tool__exporter-toolbar',
+      button: 'image-tool__cropper-button',
+    };
+  }
+
+  /**
+   * Output formats
+   *
+   * @returns {Array<{title: string, type: string}>}
+   */
+  static get formats() {
+    return [
+      {
+        title: 'JPEG',
+        type: 'image/jpeg',
+      },
+      {
+        title: 'PNG',
+        type: 'image/png',
+      },
+      {
+        title: 'WebP',
+        type: 'image/webp',
+      },
+    ];
+  }
+
+  /**
+   * Shows the panel
+   *
+   * @param {number} width - default output width, full resolution of the edited image
+   * @returns {Element} panel wrapper
+   */
+  open(width) {
+    this.nodes.width.value = Math.round(width);
+    this.nodes.width.max = Math.round(width);
+    this.applyType();
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the panel
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Quality is used by lossy formats only
+   *
+   * @returns {void}
+   */
+  applyType() {
+    this.nodes.quality.disabled = this.nodes.type.value === 'image/png';
+  }
+
+  /**
+   * Passes chosen settings, width is limited by the full resolution: upscaling adds no details
+   *
+   * @returns {void}
+   */
+  save() {
+    const max = Number(this.nodes.width.max);
+    const width = Math.round(Number(this.nodes.width.value)) || max;
+
+    this.onSave({
+      width: Math.min(Math.max(width, 1), max),
+      type: this.nodes.type.value,
+      quality: Number(this.nodes.quality.value) / 100,
+    });
+  }
+
+  /**
+   * Wraps input with its label
+   *
+   * @param {string} title - label text, will be translated
+   * @param {Element} input - control element
+   * @returns {Element}
+   */
+  createControl(title, input) {
+    const label = make('label', this.CSS.control);
+
+    label.appendChild(
+      make('span', this.CSS.title, { textContent: this.api.i18n.t(title) })
+    );
+    label.appendChild(input);
+
+    return label;
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
@@ -0,0 +1,436 @@
+import ajax from '@codexteam/ajax';
+import {
+  IconCross,
+  IconPlus,
+  IconChevronLeft,
+  IconChevronRight,
+} from '@codexteam/icons';
+import { make } from './utils/dom';
+
+/**
+ * @typedef {object} GalleryItem
+ * @description One image of the gallery block
+ * @property {object} file - image file data returned from backend
+ * @property {string} file.url - image URL
+ * @property {string} caption - image caption
+ * @property {string} alt - alternative text, applied as the image alt attribute
+ */
+
+/**
+ * Gallery mode: several images in one block shown as a grid, masonry or slider.
+ * Images can be added, removed and reordered by dragging
+ */
+export default class Gallery {
+  /**
+   * @param {object} params - gallery module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {boolean} params.readOnly - read-only mode flag
+   * @param {function(object): Uploader} params.createUploader - creates uploader with passed callbacks, one per added image
+   */
+  constructor({ api, config, readOnly, createUploader }) {
+    this.api = api;
+    this.config = config;
+    this.readOnly = readOnly;
+    this.createUploader = createUploader;
+
+    /**
+     * Rendered items in the current order
+     *
+     * @type {{file: object|null, element: Element, image: Element, caption: Element, alt: Element}[]}
+     */
+    this.items = [];
+
+    /**
+     * Current layout, one of {@link Gallery.layouts}
+     *
+     * @type {string}
+     */
+    this.layout = Gallery.layouts[0];
+
+    /**
+     * Item that is being dragged
+     *
+     * @type {object|null}
+     */
+    this.draggedItem = null;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      toolbar: make('div', this.CSS.toolbar),
+      list: make('div', this.CSS.list),
+      layoutButtons: {},
+      addButton: this.createAddButton(),
+      prevButton: this.createSlideButton(IconChevronLeft, -1),
+      nextButton: this.createSlideButton(IconChevronRight, 1),
+    };
+
+    if (!this.readOnly) {
+      Gallery.layouts.forEach((layout) => {
+        const button = make('button', this.CSS.toolbarButton, {
+          type: 'button',
+          textContent: this.api.i18n.t(
+            layout.charAt(0).toUpperCase() + layout.slice(1)
+          ),
+        });
+
+        button.addEventListener('click', () => this.setLayout(layout));
+        this.nodes.layoutButtons[layout] = button;
+        this.nodes.toolbar.appendChild(button);
+      });
+      this.nodes.toolbar.appendChild(this.nodes.addButton);
+      this.nodes.wrapper.appendChild(this.nodes.toolbar);
+    }
+
+    this.nodes.wrapper.appendChild(this.nodes.prevButton);
+    this.nodes.wrapper.appendChild(this.nodes.list);
+    this.nodes.wrapper.appendChild(this.nodes.nextButton);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      input: this.api.styles.input,
+      wrapper: 'image-tool__gallery',
+      toolbar: 'image-tool__gallery-toolbar',
+      toolbarButton: 'image-tool__gallery-toolbar-button',
+      toolbarButtonActive: 'image-tool__gallery-toolbar-button--active',
+      list: 'image-tool__gallery-list',
+      item: 'image-tool__gallery-item',
+      itemUploading: 'image-tool__gallery-item--uploading',
+      itemDragged: 'image-tool__gallery-item--dragged',
+      image: 'image-tool__gallery-image',
+      caption: 'image-tool__gallery-caption',
+      alt: 'image-tool__gallery-alt',
+      altMissing: 'image-tool__gallery-alt--missing',
+      removeButton: 'image-tool__gallery-remove',
+      slideButton: 'image-tool__gallery-slide',
+    };
+  }
+
+  /**
+   * Available layouts
+   *
+   * @returns {string[]}
+   */
+  static get layouts() {
+    return ['grid', 'masonry', 'slider'];
+  }
+
+  /**
+   * Renders gallery with passed items
+   *
+   * @param {GalleryItem[]} files - gallery images
+   * @param {string} layout - one of {@link Gallery.layouts}
+   * @returns {Element}
+   */
+  render(files, layout) {
+    this.items.forEach(({ element }) => element.remove());
+    this.items = [];
+
+    files
+      .filter((item) => item && item.file && item.file.url)
+      .forEach(({ file, caption, alt }) => {
+        this.appendItem(file.url, file, caption || '', alt || '');
+      });
+
+    this.setLayout(layout);
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Returns gallery data: uploaded images in the current order with their captions and alternative texts
+   *
+   * @returns {{files: GalleryItem[], layout: string}}
+   */
+  save() {
+    return {
+      files: this.items
+        .filter(({ file }) => file)
+        .map(({ file, caption, alt }) => ({
+          file,
+          caption: caption.innerHTML,
+          alt: alt.textContent.trim(),
+        })),
+      layout: this.layout,
+    };
+  }
+
+  /**
+   * Highlights empty alternative text inputs of the uploaded images
+   *
+   * @returns {void}
+   */
+  showAltWarning() {
+    this.items
+      .filter(({ file, alt }) => file && !alt.textContent.trim())
+      .forEach(({ alt }) => alt.classList.add(this.CSS.altMissing));
+  }
+
+  /**
+   * Changes gallery layout
+   *
+   * @param {string} layout - one of {@link Gallery.layouts}
+   * @returns {void}
+   */
+  setLayout(layout) {
+    this.layout = Gallery.layouts.includes(layout)
+      ? layout
+      : Gallery.layouts[0];
+
+    Gallery.layouts.forEach((name) => {
+      this.nodes.wrapper.classList.toggle(
+        `${this.CSS.wrapper}--${name}`,
+        name === this.layout
+      );
+
+      if (this.nodes.layoutButtons[name]) {
+        this.nodes.layoutButtons[name].classList.toggle(
+          this.CSS.toolbarButtonActive,
+          name === this.layout
+        );
+      }
+    });
+  }
+
+  /**
+   * Adds image to the end of the gallery
+   *
+   * @param {string} src - image source or preview
+   * @param {object|null} file - uploaded file data, null while uploading
+   * @param {string} caption - image caption
+   * @param {string} alt - alternative text
+   * @returns {object} rendered item
+   */
+  appendItem(src, file, caption, alt) {
+    const item = {
+      file,
+      element: make('figure', this.CSS.item),
+      image: make('img', this.CSS.image, {
+        src,
+        alt,
+      }),
+      caption: make('div', [this.CSS.input, this.CSS.caption], {
+        contentEditable: !this.readOnly,
+        innerHTML: caption,
+      }),
+      alt: make('div', [this.CSS.input, this.CSS.caption, this.CSS.alt], {
+        contentEditable: !this.readOnly,
+        textContent: alt,
+      }),
+    };
+
+    item.caption.dataset.placeholder = this.config.captionPlaceholder;
+    item.alt.dataset.placeholder = this.config.altPlaceholder;
+    item.alt.addEventListener('input', () => {
+      item.image.alt = item.alt.textContent.trim();
+      item.alt.classList.remove(this.CSS.altMissing);
+    });
+    item.element.appendChild(item.image);
+
+    if (!this.readOnly) {
+      const removeButton = make('button', this.CSS.removeButton, {
+        type: 'button',
+        title: this.api.i18n.t('Remove'),
+        innerHTML: IconCross,
+      });
+
+      removeButton.addEventListener('click', () => this.removeItem(item));
+      item.element.appendChild(removeButton);
+      this.makeDraggable(item);
+    }
+
+    if (!this.readOnly || caption) {
+      item.element.appendChild(item.caption);
+    }
+
+    if (!this.readOnly) {
+      item.element.appendChild(item.alt);
+    }
+
+    this.items.push(item);
+    this.nodes.list.appendChild(item.element);
+
+    return item;
+  }
+
+  /**
+   * Removes image from the gallery
+   *
+   * @param {object} item - rendered item
+   * @returns {void}
+   */
+  removeItem(item) {
+    if (item.uploader) {
+      item.uploader.cancel();
+    }
+
+    item.element.remove();
+    this.items = this.items.filter((current) => current !== item);
+  }
+
+  /**
+   * Lets user reorder images by dragging them
+   *
+   * @param {object} item - rendered item
+   * @returns {void}
+   */
+  makeDraggable(item) {
+    item.element.draggable = true;
+
+    item.element.addEventListener('dragstart', (e) => {
+      this.draggedItem = item;
+      item.element.classList.add(this.CSS.itemDragged);
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', '');
+    });
+
+    item.element.addEventListener('dragover', (e) => {
+      if (!this.draggedItem || this.draggedItem === item) {
+        return;
+      }
+
+      e.preventDefault();
+
+      const rect = item.element.getBoundingClientRect();
+      const isAfter =
+        this.layout === 'slider'
+          ? e.clientX > rect.left + rect.width / 2
+          : e.clientY > rect.top + rect.height / 2 ||
+            e.clientX > rect.left + rect.width / 2;
+
+      this.nodes.list.insertBefore(
+        this.draggedItem.element,
+        isAfter ? item.element.nextSibling : item.element
+      );
+    });
+
+    /**
+     * Do not let Editor.js handle the drop as a block or file dropping
+     */
+    item.element.addEventListener('drop', (e) => {
+      if (this.draggedItem) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    });
+
+    item.element.addEventListener('dragend', () => {
+      item.element.classList.remove(this.CSS.itemDragged);
+      this.draggedItem = null;
+
+      /**
+       * Sync items order with the DOM
+       */
+      const elements = Array.from(this.nodes.list.children);
+
+      this.items.sort(
+        (a, b) => elements.indexOf(a.element) - elements.indexOf(b.element)
+      );
+    });
+  }
+
+  /**
+   * Creates button that selects images and adds them to the gallery
+   *
+   * @returns {Element}
+   */
+  createAddButton() {
+    const button = make('button', this.CSS.toolbarButton, {
+      type: 'button',
+      innerHTML: `${IconPlus} ${this.api.i18n.t('Add images')}`,
+    });
+
+    button.addEventListener('click', () => {
+      ajax
+        .selectFiles({
+          accept: this.config.types,
+          multiple: true,
+        })
+        .then((files) => {
+          Array.from(files).forEach((file) => this.uploadFile(file));
+        });
+    });
+
+    return button;
+  }
+
+  /**
+   * Adds uploading image to the gallery and fills it when uploading is finished
+   *
+   * @param {File} file - image to upload
+   * @returns {void}
+   */
+  uploadFile(file) {
+    const item = this.appendItem('', null, '', '');
+
+    item.element.classList.add(this.CSS.itemUploading);
+    item.uploader = this.createUploader({
+      onUpload: (response) => {
+        if (!response.success || !response.file) {
+          this.uploadingFailed(item, response);
+
+          return;
+        }
+
+        item.file = response.file;
+        item.image.src = response.file.url;
+        item.element.classList.remove(this.CSS.itemUploading);
+        delete item.uploader;
+      },
+      onError: (error) => this.uploadingFailed(item, error),
+      onProgress: () => {},
+    });
+
+    item.uploader.uploadByFile(file, {
+      onPreview: (src) => {
+        item.image.src = src;
+      },
+    });
+  }
+
+  /**
+   * Removes image that can not be uploaded
+   *
+   * @param {object} item - rendered item
+   * @param {*} reason - uploading error or incorrect response
+   * @returns {void}
+   */
+  uploadingFailed(item, reason) {
+    console.log('Image Tool: gallery uploading failed because of', reason);
+
+    this.api.notifier.show({
+      message: this.api.i18n.t('Couldn’t upload image. Please try again.'),
+      style: 'error',
+    });
+    this.removeItem(item);
+  }
+
+  /**
+   * Creates slider navigation button
+   *
+   * @param {string} icon - button icon
+   * @param {number} direction - -1 for previous slide, 1 for next one
+   * @returns {Element}
+   */
+  createSlideButton(icon, direction) {
+    const button = make('button', this.CSS.slideButton, {
+      type: 'button',
+      innerHTML: icon,
+    });
+
+    button.addEventListener('click', () => {
+      this.nodes.list.scrollBy({
+        left: direction * this.nodes.list.clientWidth,
+        behavior: 'smooth',
+      });
+    });
+
+    return button;
+  }
+}
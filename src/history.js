@@ -0,0 +1,108 @@
+/**
+ * Undo/redo stack of one block. Keeps serialized snapshots of the block data,
+ * so stored states can not be changed by the later edits
+ */
+export default class History {
+  /**
+   * @param {number} limit - max number of stored states
+   */
+  constructor(limit) {
+    this.limit = limit;
+
+    /**
+     * Serialized states, the oldest first
+     *
+     * @type {string[]}
+     */
+    this.stack = [];
+
+    /**
+     * Position of the current state in the stack
+     *
+     * @type {number}
+     */
+    this.index = -1;
+  }
+
+  /**
+   * Forgets all states and starts from the passed one
+   *
+   * @param {string} snapshot - serialized current state
+   * @returns {void}
+   */
+  reset(snapshot) {
+    this.stack = [ snapshot ];
+    this.index = 0;
+  }
+
+  /**
+   * Adds new state after the current one, undone states can not be redone anymore
+   *
+   * @param {string} snapshot - serialized new state
+   * @returns {boolean} false when the state is not changed
+   */
+  push(snapshot) {
+    if (this.stack[this.index] === snapshot) {
+      return false;
+    }
+
+    this.stack = this.stack.slice(0, this.index + 1);
+    this.stack.push(snapshot);
+
+    if (this.stack.length > this.limit) {
+      this.stack.shift();
+    }
+
+    this.index = this.stack.length - 1;
+
+    return true;
+  }
+
+  /**
+   * Steps back
+   *
+   * @returns {string|null} previous state, null when there is nothing to undo
+   */
+  undo() {
+    if (!this.canUndo) {
+      return null;
+    }
+
+    this.index--;
+
+    return this.stack[this.index];
+  }
+
+  /**
+   * Steps forward
+   *
+   * @returns {string|null} next state, null when there is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo) {
+      return null;
+    }
+
+    this.index++;
+
+    return this.stack[this.index];
+  }
+
+  /**
+   * Whether there is a state before the current one
+   *
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.index > 0;
+  }
+
+  /**
+   * Whether there is an undone state after the current one
+   *
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.index < this.stack.length - 1;
+  }
+}
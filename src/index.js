@@ -11,6 +11,18 @@
  *  2) uploader.js — module that has methods for sending files via AJAX: from device, by URL or File pasting
  *  3) ui.js — module for UI manipulations: render, showing preloader, etc
  *  4) tunes.js — working with Block Tunes: render buttons, handle clicks
+ *  5) crop.js — crop mode: Konva stage with crop frame and aspect-ratio presets
+ *  6) gallery.js — gallery mode: several images in one block
+ *  7) annotate.js — annotation mode: vector shapes drawn over the image
+ *  8) redact.js — redaction mode: blurred, pixelated or solid regions burnt into a new image file
+ *  9) adjust.js — adjustments panel: colour and sharpness sliders previewed with CSS filters
+ * 10) export.js — export panel: output size and format of the edited image saved as a new file
+ * 11) replace.js — replace panel: new file or URL for the filled block
+ * 12) history.js — undo/redo stack of the block edits
+ * 13) lightbox.js — read-only full-screen viewer with zoom and navigation
+ * 14) link.js — link panel: address, target and rel of the image link
+ * 15) map.js — hotspot mode: linked rectangles and polygons drawn over the image
+ * 16) attribution.js — attribution panel: credit, source and license shown as a credit line
  *
  * For debug purposes there is a testing server
  * that can save uploaded files and return a Response {@link UploadResponseFormat}
@@ -34,19 +46,61 @@
  * @typedef {object} ImageToolData
  * @description Image Tool's input and output data format
  * @property {string} caption — image caption
+ * @property {string} alt - alternative text, applied as the image alt attribute
  * @property {boolean} withBorder - should image be rendered with border
  * @property {boolean} withBackground - should image be rendered with background
  * @property {boolean} stretched - should image be stretched to full width of container
+ * @property {boolean} gallery - should block show several images
+ * @property {GalleryItem[]} [files] - gallery images, saved in gallery mode only
+ * @property {string} [layout] - gallery layout: 'grid', 'masonry' or 'slider'
+ * @property {string} alignment - image alignment: 'left', 'center', 'right' or empty string
+ * @property {boolean} wrap - float left or right aligned image so the next blocks wrap around it
+ * @property {number} width - image width in pixels or percents of the container according to widthUnit, 0 for natural size
+ * @property {string} widthUnit - 'px' or '%'. Percentage width keeps image proportions, so height is 0
+ * @property {boolean} lockRatio - keep natural image proportions when width, height or corners are changed
+ * @property {number} height - image height in pixels, 0 for natural size
+ * @property {ImageCrop|null} crop - visible part of the image, null for the whole image
+ * @property {ImageTransform} transform - image rotation and flipping
+ * @property {ImageAnnotation[]} annotations - arrows, boxes and labels drawn over the image
+ * @property {ImageLink|null} link - link of the whole image for readers, null when the image is not linked
+ * @property {ImageHotspot[]} hotspots - linked regions of the image, rendered as accessible links in read-only mode
+ * @property {ImageMeta} meta - credit, source URL and license of the image
+ * @property {ImageAdjustments} adjustments - brightness, contrast, saturation, grayscale, sepia and sharpen applied on render
+ * @property {object} [original] - file data of the unredacted image kept in the private storage, see endpoints.original
+ * @property {object} [exportSource] - file data of the first image version replaced by "Save as new image"
+ * @property {{x: number, y: number}|null} focalPoint - important point of the image normalized to its natural size (0..1),
+ *           applied as object-position. null when it is not set
  * @property {object} file — Image file data returned from backend
  * @property {string} file.url — image URL
  */
 
+/**
+ * @typedef {object} ImageTransform
+ * @description Rotation and flipping applied to the image on render
+ * @property {number} rotate - clockwise rotation angle in degrees, [0, 360)
+ * @property {boolean} flipX - mirror image horizontally
+ * @property {boolean} flipY - mirror image vertically
+ */
+
 import './index.css';
 
 import Ui from './ui';
 import Uploader from './uploader';
+import Annotator from './annotate';
+import Adjuster from './adjust';
+import Linker from './link';
+import Mapper from './map';
+import Attributor from './attribution';
+import History from './history';
+import redactImage from './utils/redactImage';
+import adjustImage from './utils/adjustImage';
+import exportImage from './utils/exportImage';
+import galleryIcon from './svg/gallery.svg';
+import replaceIcon from './svg/replace.svg';
 
 import {
+  IconUser,
+  IconLink,
   IconAddBorder,
   IconStretch,
   IconAddBackground,
@@ -59,15 +113,52 @@ import {
  * @property {object} endpoints - upload endpoints
  * @property {string} endpoints.byFile - upload by file
  * @property {string} endpoints.byUrl - upload by URL
+ * @property {string} [endpoints.original] - private storage for the original image when a redacted copy replaces it
+ * @property {string} [endpoints.remove] - deletes the public unredacted image when a redacted copy replaces it
  * @property {string} field - field name for uploaded image
  * @property {string} types - available mime-types
  * @property {string} captionPlaceholder - placeholder for Caption field
+ * @property {string} altPlaceholder - placeholder for Alternative text field
  * @property {object} additionalRequestData - any data to send with requests
  * @property {object} additionalRequestHeaders - allows to pass custom headers with Request
  * @property {string} buttonContent - overrides for Select File button
+ * @property {string} [alignment] - default alignment for new blocks: 'left', 'center' or 'right'
+ * @property {number} [imageWidth] - default image width in pixels for new blocks, 0 for natural size
+ * @property {number} [imageHeight] - default image height in pixels for new blocks, 0 for natural size
+ * @property {string} [widthUnit] - default width unit for new blocks: 'px' or '%'
+ * @property {number} [floatGutter] - space in pixels between floating image and the wrapping text
+ * @property {number} [konvaWidth] - initial width of the resizable image when block has no saved width
+ * @property {number} [konvaHeight] - initial height of the resizable image when block has no saved height
+ * @property {CropRatio[]} [cropRatios] - additional aspect-ratio presets for crop mode
+ * @property {string[]} [annotationColors] - colour swatches of annotation mode
+ * @property {number[]} [annotationStrokeWidths] - stroke widths of annotation mode in pixels
+ * @property {CompressionConfig} [compression] - downscale and re-encode images in browser before upload
+ * @property {ExifConfig|boolean} [exif] - read EXIF metadata of JPEG files before upload and send it as JSON,
+ *           true for the defaults. Not read if omitted
+ * @property {boolean} [multiple] - allow selecting several files: the first one fills the block, others get new blocks
+ * @property {number} [concurrency] - max number of uploadings running at the same time across all image blocks,
+ *           the value of the first created block is used
+ * @property {string[]} [licenses] - license suggestions of the attribution panel
+ * @property {boolean} [creditLine] - render credit, source and license under the image in read-only mode, true if omitted
+ * @property {function(object): object} [prefillMeta] - returns credit, source and license for the file data returned by backend,
+ *           they fill empty fields of the uploaded image
+ * @property {boolean} [lightbox] - open read-only images in a full-screen viewer with zoom and navigation by click
+ * @property {number} [historyLimit] - max number of undo steps kept per block
+ * @property {boolean} [redactBeforeUpload] - open redaction mode for new files before uploading, so only the redacted copy
+ *           reaches the public storage
+ * @property {boolean} [replaceKeepSize] - default state of the "Keep size" option of image replacing, true if omitted
+ * @property {string|false} [altRequired] - check alternative text on saving: 'warn' logs a warning, 'block' also fails validation
+ * @property {object|false} [retry] - repeat uploading on network errors and 5xx responses, false to disable
+ * @property {number} [retry.attempts] - max number of repeats
+ * @property {number} [retry.delay] - delay before the first repeat in ms, doubled for every next one
  * @property {object} [uploader] - optional custom uploader
- * @property {function(File): Promise.<UploadResponseFormat>} [uploader.uploadByFile] - method that upload image by File
- * @property {function(string): Promise.<UploadResponseFormat>} [uploader.uploadByUrl] - method that upload image by URL
+ * @property {function(File, {onProgress: function(number), signal: AbortSignal, exif: (ExifData|null)}): Promise.<UploadResponseFormat>} [uploader.uploadByFile] - method that upload image by File.
+ *           Can report progress from 0 to 100 with onProgress and should abort uploading when signal is aborted
+ * @property {function(string, {signal: AbortSignal}): Promise.<UploadResponseFormat>} [uploader.uploadByUrl] - method that upload image by URL
+ * @property {function(Blob, {signal: AbortSignal}): Promise.<UploadResponseFormat>} [uploader.uploadOriginal] - method that keeps the original image
+ *           privately when a redacted copy replaces it
+ * @property {function(object, {signal: AbortSignal}): Promise.<{success: number}>} [uploader.removeFile] - method that deletes
+ *           the public unredacted image by its file data when a redacted copy replaces it
  */
 
 /**
@@ -78,6 +169,7 @@ import {
  *                           'url' is required,
  *                           also can contain any additional data that will be saved and passed back
  * @property {string} file.url - [Required] image source URL
+ * @property {ImageVariant[]} [file.variants] - other sizes and formats of the image, rendered as srcset and <picture> sources
  */
 export default class ImageTool {
   /**
@@ -128,19 +220,85 @@ export default class ImageTool {
         title: 'With background',
         toggle: true,
       },
+      {
+        name: 'gallery',
+        icon: galleryIcon,
+        title: 'Gallery',
+        toggle: true,
+      },
     ];
   }
 
+  /**
+   * Defaults for client-side compression, applied when config.compression is passed
+   *
+   * @returns {CompressionConfig}
+   */
+  static get compressionDefaults() {
+    return {
+      maxDimension: 0,
+      type: 'image/jpeg',
+      quality: 0.85,
+      threshold: 0,
+    };
+  }
+
+  /**
+   * Defaults for EXIF reading, applied when config.exif is passed
+   *
+   * @returns {ExifConfig}
+   */
+  static get exifDefaults() {
+    return {
+      autoOrient: false,
+      stripPrivate: false,
+      field: 'exif',
+    };
+  }
+
+  /**
+   * Defaults for uploading retries
+   *
+   * @returns {{attempts: number, delay: number}}
+   */
+  static get retryDefaults() {
+    return {
+      attempts: 2,
+      delay: 1000,
+    };
+  }
+
+  /**
+   * Data of the edits made for the particular image file, reset when the file is replaced or the edits are baked into it
+   *
+   * @returns {object}
+   */
+  static get imageEdits() {
+    return {
+      crop: null,
+      transform: {
+        rotate: 0,
+        flipX: false,
+        flipY: false,
+      },
+      annotations: [],
+      adjustments: Adjuster.defaults,
+      focalPoint: null,
+    };
+  }
+
   /**
    * @param {object} tool - tool properties got from editor.js
    * @param {ImageToolData} tool.data - previously saved data
    * @param {ImageConfig} tool.config - user config for Tool
    * @param {object} tool.api - Editor.js API
    * @param {boolean} tool.readOnly - read-only mode flag
+   * @param {object} tool.block - current Block API
    */
-  constructor({ data, config, api, readOnly }) {
+  constructor({ data, config, api, readOnly, block }) {
     this.api = api;
     this.readOnly = readOnly;
+    this.block = block;
 
     /**
      * Tool's initial config
@@ -160,19 +318,98 @@ export default class ImageTool {
       heightPlaceholder: this.api.i18n.t(
         config.captionPlaceholder || 'height (px)'
       ),
+      altPlaceholder: this.api.i18n.t(
+        config.altPlaceholder || 'Alternative text'
+      ),
       buttonContent: config.buttonContent || '',
       uploader: config.uploader || undefined,
       actions: config.actions || [],
-      isSelectedLeft: config.isSelectedLeft || false,
-      isSelectedCenter: config.isSelectedCenter || false,
-      isSelectedRight: config.isSelectedRight || false,
-      isChangeResizeMode: config.isChangeResizeMode || false,
+      alignment: config.alignment || '',
       imageWidth: config.imageWidth || 0,
       imageHeight: config.imageHeight || 0,
+      widthUnit: config.widthUnit === '%' ? '%' : 'px',
+      floatGutter:
+        typeof config.floatGutter === 'number' ? config.floatGutter : 20,
       konvaWidth: config.konvaWidth || 650,
       konvaHeight: config.konvaHeight || 406,
+      cropRatios: config.cropRatios || [],
+      annotationColors: config.annotationColors || Annotator.colors,
+      annotationStrokeWidths:
+        config.annotationStrokeWidths || Annotator.strokeWidths,
+      compression: config.compression
+        ? Object.assign({}, ImageTool.compressionDefaults, config.compression)
+        : null,
+      exif: config.exif
+        ? Object.assign({}, ImageTool.exifDefaults, config.exif)
+        : null,
+      multiple: config.multiple || false,
+      concurrency: config.concurrency || 3,
+      altRequired: config.altRequired || false,
+      replaceKeepSize: config.replaceKeepSize !== false,
+      historyLimit: config.historyLimit || 50,
+      redactBeforeUpload: config.redactBeforeUpload || false,
+      lightbox: config.lightbox || false,
+      licenses: config.licenses || Attributor.licenses,
+      creditLine: config.creditLine !== false,
+      prefillMeta: config.prefillMeta || undefined,
+      retry:
+        config.retry === false
+          ? {
+            attempts: 0,
+            delay: 0,
+          }
+          : Object.assign({}, ImageTool.retryDefaults, config.retry),
     };
 
+    /**
+     * Block state: saved data and per-block view settings.
+     * Ui reads and updates it through the state accessors
+     */
+    this._data = {};
+
+    /**
+     * Data changes applied when the current uploading succeeds: edits that are baked into the new file
+     * or do not fit the replacing image. Dropped when uploading is cancelled
+     *
+     * @type {object|null}
+     */
+    this.pendingChanges = null;
+
+    /**
+     * Set when the current uploading replaces the image with a redacted copy: the history is cleared on success,
+     * so undo can not bring the unredacted file back, and the replaced public files are removed
+     *
+     * @type {boolean}
+     */
+    this.clearsHistory = false;
+
+    /**
+     * Local file shown in redaction mode before its first uploading, see config.redactBeforeUpload
+     *
+     * @type {File|Blob|null}
+     */
+    this.heldFile = null;
+
+    /**
+     * Undo/redo stack of the block edits. Caption and alternative text are edited as text,
+     * so they are left to the browser own undo
+     */
+    this.history = new History(this.config.historyLimit);
+
+    /**
+     * Timer of the delayed history record, see {@link ImageTool#recordHistory}
+     *
+     * @type {number|null}
+     */
+    this.historyTimeout = null;
+
+    /**
+     * Set while a stored state is restored, so restoring is not recorded as a new edit
+     *
+     * @type {boolean}
+     */
+    this.isRestoring = false;
+
     /**
      * Module for file uploading
      */
@@ -180,6 +417,7 @@ export default class ImageTool {
       config: this.config,
       onUpload: (response) => this.onUpload(response),
       onError: (error) => this.uploadingFailed(error),
+      onProgress: (percent) => this.ui.showProgress(percent),
     });
 
     /**
@@ -188,11 +426,30 @@ export default class ImageTool {
     this.ui = new Ui({
       api,
       config: this.config,
+      state: {
+        get: () => this._data,
+        set: (changes) => {
+          Object.assign(this._data, changes);
+          this.recordHistory();
+        },
+      },
+      onUndo: () => this.undo(),
+      onRedo: () => this.redo(),
+      onCancelUpload: () => this.cancelUploading(),
+      onRetryUpload: () => this.uploader.retry(),
+      onRedactImage: (regions) => this.redact(regions),
+      onBakeAdjustments: () => this.bakeAdjustments(),
+      onExportImage: (options) => this.exportImage(options),
+      onReplaceImage: (source) => this.replaceImage(source),
+      createUploader: (callbacks) =>
+        new Uploader(Object.assign({ config: this.config }, callbacks)),
+      getBlockHolder: () => this.block && this.block.holder,
       onSelectFile: () => {
         this.uploader.uploadSelectedFile({
           onPreview: (src) => {
             this.ui.showPreloader(src);
           },
+          onMoreFiles: (files) => this.insertBlocks(files),
         });
       },
       readOnly,
@@ -201,8 +458,18 @@ export default class ImageTool {
     /**
      * Set saved state
      */
-    this._data = {};
     this.data = data;
+    this.history.reset(this.snapshot());
+  }
+
+  /**
+   * Block data keys that are not stored in the history. The kept original is not restored either:
+   * it is the only reference to the copy in the private storage
+   *
+   * @returns {string[]}
+   */
+  static get historyExcludedKeys() {
+    return ['caption', 'alt', 'files', 'layout', 'original'];
   }
 
   /**
@@ -217,14 +484,37 @@ export default class ImageTool {
   }
 
   /**
-   * Validate data: check if Image exists
+   * Validate data: check if Image exists and has alternative text when it is required
    *
    * @param {ImageToolData} savedData — data received after saving
    * @returns {boolean} false if saved data is not correct, otherwise true
    * @public
    */
   validate(savedData) {
-    return savedData.file && savedData.file.url;
+    if (!savedData.file || !savedData.file.url) {
+      return false;
+    }
+
+    const hasAlt = savedData.gallery
+      ? (savedData.files || []).every(({ alt }) => alt)
+      : Boolean(savedData.alt);
+
+    if (this.config.altRequired && !hasAlt) {
+      console.warn(
+        'Image Tool: image has no alternative text',
+        savedData.file.url
+      );
+
+      if (savedData.gallery) {
+        this.ui.gallery.showAltWarning();
+      } else {
+        this.ui.showAltWarning();
+      }
+
+      return this.config.altRequired !== 'block';
+    }
+
+    return true;
   }
 
   /**
@@ -239,18 +529,16 @@ export default class ImageTool {
 
     this._data.caption = caption.innerHTML;
 
-    if (this.config.isSelectedLeft) {
-      this._data.alignment = 'left';
-    } else if (this.config.isSelectedCenter) {
-      this._data.alignment = 'center';
-    } else if (this.config.isSelectedRight) {
-      this._data.alignment = 'right';
-    } else {
-      this._data.alignment = '';
-    }
+    /**
+     * First gallery image is saved as the block file too, so gallery data stays valid for single image renderers
+     */
+    if (this._data.gallery) {
+      const { files, layout } = this.ui.gallery.save();
 
-    this._data.width = this.config.imageWidth;
-    this._data.height = this.config.imageHeight;
+      this._data.files = files;
+      this._data.layout = layout;
+      this._data.file = files.length ? files[0].file : {};
+    }
 
     return this.data;
   }
@@ -267,7 +555,7 @@ export default class ImageTool {
     // @see https://github.com/editor-js/image/pull/49
     const tunes = ImageTool.tunes.concat(this.config.actions);
 
-    return tunes.map((tune) => ({
+    const settings = tunes.map((tune) => ({
       icon: tune.icon,
       label: this.api.i18n.t(tune.title),
       name: tune.name,
@@ -283,6 +571,34 @@ export default class ImageTool {
         this.tuneToggled(tune.name);
       },
     }));
+
+    if (this._data.file && this._data.file.url && !this._data.gallery) {
+      settings.push({
+        icon: replaceIcon,
+        label: this.api.i18n.t('Replace image'),
+        name: 'replace',
+        closeOnActivate: true,
+        onActivate: () => this.ui.toggleReplaceMode(true),
+      });
+      settings.push({
+        icon: IconLink,
+        label: this.api.i18n.t('Link'),
+        name: 'link',
+        isActive: Boolean(this._data.link),
+        closeOnActivate: true,
+        onActivate: () => this.ui.toggleLinkMode(true),
+      });
+      settings.push({
+        icon: IconUser,
+        label: this.api.i18n.t('Credit and license'),
+        name: 'meta',
+        isActive: Object.values(this._data.meta).some(Boolean),
+        closeOnActivate: true,
+        onActivate: () => this.ui.toggleMetaMode(true),
+      });
+    }
+
+    return settings;
   }
 
   /**
@@ -381,19 +697,111 @@ export default class ImageTool {
    * @param {ImageToolData} data - data in Image Tool format
    */
   set data(data) {
+    /**
+     * Saved values win over config defaults, which are applied to new blocks only
+     */
+    this._data.alignment =
+      typeof data.alignment === 'string'
+        ? data.alignment
+        : this.config.alignment;
+    this._data.wrap = data.wrap === true;
+    this._data.width =
+      typeof data.width !== 'undefined'
+        ? Number(data.width) || 0
+        : this.config.imageWidth;
+    this._data.height =
+      typeof data.height !== 'undefined'
+        ? Number(data.height) || 0
+        : this.config.imageHeight;
+    const widthUnit =
+      typeof data.widthUnit === 'string'
+        ? data.widthUnit
+        : this.config.widthUnit;
+
+    this._data.widthUnit = widthUnit === '%' ? '%' : 'px';
+    this._data.lockRatio = data.lockRatio !== false;
+
+    /**
+     * Percentage width keeps image proportions
+     */
+    if (this._data.widthUnit === '%') {
+      this._data.width = Math.min(this._data.width, 100);
+      this._data.height = 0;
+    }
+
+    this._data.crop =
+      data.crop && data.crop.width > 0 && data.crop.height > 0
+        ? data.crop
+        : null;
+
+    const transform = data.transform || {};
+
+    this._data.transform = {
+      rotate: (((Number(transform.rotate) || 0) % 360) + 360) % 360,
+      flipX: transform.flipX === true,
+      flipY: transform.flipY === true,
+    };
+
+    const annotations = Array.isArray(data.annotations) ? data.annotations : [];
+
+    this._data.annotations = annotations.filter(
+      (shape) =>
+        shape && shape.type !== 'select' && Annotator.tools.includes(shape.type)
+    );
+
+    const { focalPoint } = data;
+
+    this._data.focalPoint =
+      focalPoint &&
+      focalPoint.x >= 0 &&
+      focalPoint.x <= 1 &&
+      focalPoint.y >= 0 &&
+      focalPoint.y <= 1
+        ? {
+          x: Number(focalPoint.x),
+          y: Number(focalPoint.y),
+        }
+        : null;
+
+    this._data.files = Array.isArray(data.files) ? data.files : undefined;
+    this._data.layout = data.layout;
+    this._data.alt = typeof data.alt === 'string' ? data.alt : '';
+    this._data.original =
+      data.original && data.original.url ? data.original : undefined;
+    this._data.exportSource =
+      data.exportSource && data.exportSource.url
+        ? data.exportSource
+        : undefined;
+    this._data.adjustments = Adjuster.normalize(data.adjustments);
+    this._data.link = Linker.normalize(data.link);
+    this._data.hotspots = Mapper.normalize(data.hotspots);
+    this._data.meta = Attributor.normalize(data.meta);
+
     this.image = data.file;
 
     this._data.caption = data.caption || '';
     this.ui.fillCaption(this._data.caption);
 
     ImageTool.tunes.forEach(({ name: tune }) => {
-      const value =
+      let value =
         typeof data[tune] !== 'undefined'
           ? data[tune] === true || data[tune] === 'true'
           : false;
 
+      /**
+       * Saved gallery images turn gallery mode on even without the flag
+       */
+      if (tune === 'gallery') {
+        value = value || Array.isArray(data.files);
+      }
+
       this.setTune(tune, value);
     });
+
+    this.ui.applyAlign();
+    this.ui.applyRatioLock();
+    this.ui.applySize();
+    this.ui.applyCrop();
   }
 
   /**
@@ -418,7 +826,7 @@ export default class ImageTool {
     this._data.file = file || {};
 
     if (file && file.url) {
-      this.ui.fillImage(file.url);
+      this.ui.fillImage(file.url, file.variants);
     }
   }
 
@@ -432,14 +840,105 @@ export default class ImageTool {
    */
   onUpload(response) {
     if (response.success && response.file) {
+      const isFirstImage = !this._data.file || !this._data.file.url;
+
+      const clearsHistory = this.clearsHistory;
+      const replacedFiles = [this._data.file, this._data.exportSource];
+      const unredactedFiles = clearsHistory
+        ? replacedFiles.filter((file) => file && file.url)
+        : [];
+
+      Object.assign(this._data, this.pendingChanges);
+      this.pendingChanges = null;
+      this.clearsHistory = false;
+      this.prefillMeta(response.file);
       this.image = response.file;
+
+      /**
+       * Empty block is not a state to return to, unredacted image must not be one
+       */
+      if (isFirstImage || clearsHistory) {
+        clearTimeout(this.historyTimeout);
+        this.historyTimeout = null;
+        this.history.reset(this.snapshot());
+        this.ui.applyHistory(false, false);
+      } else {
+        this.recordHistory();
+      }
+
+      unredactedFiles.forEach((file) => this.removeFile(file));
     } else {
       this.uploadingFailed('incorrect response: ' + JSON.stringify(response));
     }
   }
 
   /**
-   * Handle uploader errors
+   * Removes public file that has been replaced by a redacted copy.
+   * Without endpoints.remove and uploader.removeFile the file stays available by its URL
+   *
+   * @param {object} file - file data returned by backend
+   * @returns {void}
+   */
+  removeFile(file) {
+    if (
+      !this.config.endpoints.remove &&
+      !(
+        this.config.uploader &&
+        typeof this.config.uploader.removeFile === 'function'
+      )
+    ) {
+      console.warn(
+        `Image Tool: unredacted image is still public at ${file.url}, set endpoints.remove or uploader.removeFile to delete it`
+      );
+
+      return;
+    }
+
+    this.uploader
+      .removeFile(file)
+      .then((response) => {
+        if (!response || !response.success) {
+          throw new Error('incorrect response: ' + JSON.stringify(response));
+        }
+      })
+      .catch((error) => {
+        console.log(
+          'Image Tool: unredacted image removing failed because of',
+          error
+        );
+
+        this.api.notifier.show({
+          message: this.api.i18n.t('Couldn’t remove unredacted image.'),
+          style: 'error',
+        });
+      });
+  }
+
+  /**
+   * Fills empty attribution fields from the uploaded file data with the config hook.
+   * Values entered by the user are kept
+   *
+   * @param {object} file - file data returned by backend
+   * @returns {void}
+   */
+  prefillMeta(file) {
+    if (typeof this.config.prefillMeta !== 'function') {
+      return;
+    }
+
+    const prefilled = Attributor.normalize(this.config.prefillMeta(file));
+    const meta = Object.assign({}, this._data.meta);
+
+    Object.keys(prefilled).forEach((name) => {
+      meta[name] = meta[name] || prefilled[name];
+    });
+
+    this._data.meta = meta;
+  }
+
+  /**
+   * Handle uploader errors: keeps the preview so the same File or URL can be sent again.
+   * Filled block keeps its current image, changes of the failed uploading are dropped if it is cancelled
    *
    * @private
    * @param {string} errorText - uploading error text
@@ -449,10 +948,30 @@ export default class ImageTool {
     console.log('Image Tool: uploading failed because of', errorText);
 
     this.api.notifier.show({
-      message: this.api.i18n.t('Couldn’t upload image. Please try another.'),
+      message: this.api.i18n.t('Couldn’t upload image. Please try again.'),
       style: 'error',
     });
+    this.ui.showUploadingError(Boolean(this._data.file && this._data.file.url));
+  }
+
+  /**
+   * Aborts current or failed uploading and returns block to the empty state without error notification
+   *
+   * @private
+   * @returns {void}
+   */
+  cancelUploading() {
+    this.uploader.cancel();
+    this.pendingChanges = null;
+    this.clearsHistory = false;
     this.ui.hidePreloader();
+
+    /**
+     * Replaced, redacted or edited image stays when uploading of its new version is cancelled
+     */
+    if (this._data.file && this._data.file.url) {
+      this.ui.toggleStatus(Ui.status.FILLED);
+    }
   }
 
   /**
@@ -466,6 +985,7 @@ export default class ImageTool {
   tuneToggled(tuneName) {
     // inverse tune state
     this.setTune(tuneName, !this._data[tuneName]);
+    this.recordHistory();
   }
 
   /**
@@ -479,6 +999,10 @@ export default class ImageTool {
     this.ui.applyTune(tuneName, value);
     this._data[tuneName] = value;
 
+    if (tuneName === 'gallery') {
+      this.toggleGallery(value);
+    }
+
     if (tuneName === 'stretched') {
       /**
        * Wait until the API is ready
@@ -496,12 +1020,194 @@ export default class ImageTool {
   }
 
   /**
-   * Show preloader and upload image file
+   * Serializes block data stored in the history
+   *
+   * @returns {string}
+   */
+  snapshot() {
+    const state = {};
+
+    Object.keys(this._data)
+      .filter((key) => !ImageTool.historyExcludedKeys.includes(key))
+      .forEach((key) => {
+        state[key] = this._data[key];
+      });
+
+    return JSON.stringify(state);
+  }
+
+  /**
+   * Records current state in the history. Changes made one after another, like slider moves or typed size,
+   * are grouped into one step
+   *
+   * @returns {void}
+   */
+  recordHistory() {
+    const DELAY = 300;
+
+    if (this.isRestoring) {
+      return;
+    }
+
+    clearTimeout(this.historyTimeout);
+    this.historyTimeout = setTimeout(() => this.flushHistory(), DELAY);
+  }
+
+  /**
+   * Records delayed state right now
+   *
+   * @returns {void}
+   */
+  flushHistory() {
+    clearTimeout(this.historyTimeout);
+    this.historyTimeout = null;
+    this.history.push(this.snapshot());
+    this.ui.applyHistory(this.history.canUndo, this.history.canRedo);
+  }
+
+  /**
+   * Returns to the previous state. Ignored while an edit mode is open: its stage shows the current state
+   *
+   * @returns {void}
+   */
+  undo() {
+    if (this.ui.isEditing) {
+      return;
+    }
+
+    if (this.historyTimeout) {
+      this.flushHistory();
+    }
+
+    this.restore(this.history.undo());
+  }
+
+  /**
+   * Returns to the undone state
+   *
+   * @returns {void}
+   */
+  redo() {
+    if (this.ui.isEditing || this.historyTimeout) {
+      return;
+    }
+
+    this.restore(this.history.redo());
+  }
+
+  /**
+   * Applies stored state to the block data and view
+   *
+   * @param {string|null} snapshot - serialized state, null when there is nothing to restore
+   * @returns {void}
+   */
+  restore(snapshot) {
+    if (!snapshot) {
+      return;
+    }
+
+    const state = JSON.parse(snapshot);
+    const isFileChanged = state.file.url !== this._data.file.url;
+
+    this.isRestoring = true;
+
+    /**
+     * Keys missing in the state were not set at that moment
+     */
+    Object.keys(this._data)
+      .filter(
+        (key) => !ImageTool.historyExcludedKeys.includes(key) && !(key in state)
+      )
+      .forEach((key) => {
+        delete this._data[key];
+      });
+
+    ImageTool.tunes.forEach(({ name: tune }) => {
+      if (state[tune] !== this._data[tune]) {
+        this.setTune(tune, state[tune]);
+      }
+    });
+
+    Object.assign(this._data, state);
+
+    if (isFileChanged) {
+      this.image = state.file;
+    }
+
+    this.ui.applyState();
+    this.ui.applyHistory(this.history.canUndo, this.history.canRedo);
+
+    this.isRestoring = false;
+  }
+
+  /**
+   * Switches between single image and gallery.
+   * Current image becomes the first gallery image, and the first gallery image is kept when gallery is turned off
+   *
+   * @param {boolean} isOn - true to show gallery
+   * @returns {void}
+   */
+  toggleGallery(isOn) {
+    if (isOn) {
+      if (!Array.isArray(this._data.files)) {
+        this._data.files =
+          this._data.file && this._data.file.url
+            ? [ {
+              file: this._data.file,
+              caption: this._data.caption,
+            } ]
+            : [];
+      }
+
+      this.ui.showGallery(this._data.files, this._data.layout);
+
+      return;
+    }
+
+    if (!Array.isArray(this._data.files)) {
+      return;
+    }
+
+    const [ first ] = this.ui.gallery.save().files;
+
+    delete this._data.files;
+    delete this._data.layout;
+    this.ui.hideGallery();
+
+    if (first) {
+      if (first.file.url !== this._data.file.url) {
+        this.image = first.file;
+      }
+      this._data.caption = first.caption;
+      this.ui.fillCaption(first.caption);
+    }
+  }
+
+  /**
+   * Show preloader and upload image file. With config.redactBeforeUpload the file is uploaded
+   * after its redaction is applied or cancelled
    *
    * @param {File} file - file that is currently uploading (from paste)
    * @returns {void}
    */
   uploadFile(file) {
+    if (this.config.redactBeforeUpload) {
+      this.heldFile = file;
+      this.ui.redactBeforeUpload(file);
+
+      return;
+    }
+
+    this.sendFile(file);
+  }
+
+  /**
+   * Show preloader and send image file to the uploader
+   *
+   * @param {File|Blob} file - new image file
+   * @returns {void}
+   */
+  sendFile(file) {
     this.uploader.uploadByFile(file, {
       onPreview: (src) => {
         this.ui.showPreloader(src);
@@ -509,6 +1215,204 @@ export default class ImageTool {
     });
   }
 
+  /**
+   * Burns redaction regions into a copy of the image and uploads it instead of the current file.
+   * Original is sent to the private storage first, if it is configured and the original is not kept yet.
+   * It is referenced in the block data only when the redacted copy is uploaded.
+   *
+   * File held by config.redactBeforeUpload is redacted locally and never uploaded publicly,
+   * it is uploaded as is when redaction is cancelled. Redacting uploaded image removes its public files
+   *
+   * @param {ImageRedaction[]} regions - regions to hide, empty when redaction is cancelled
+   * @returns {Promise<void>}
+   */
+  async redact(regions) {
+    const heldFile = this.heldFile;
+    const keepOriginal =
+      this.config.endpoints.original ||
+      (this.config.uploader &&
+        typeof this.config.uploader.uploadOriginal === 'function');
+
+    this.heldFile = null;
+
+    if (!regions.length) {
+      if (heldFile) {
+        this.sendFile(heldFile);
+      }
+
+      return;
+    }
+
+    try {
+      const original = heldFile || (await this.fetchImage());
+      const file = await redactImage(original, regions);
+      const changes = heldFile
+        ? Object.assign({}, this.pendingChanges)
+        : { exportSource: undefined };
+
+      if (keepOriginal && (heldFile || !this._data.original)) {
+        const kept = await this.uploader.uploadOriginal(original);
+
+        if (!kept.success || !kept.file) {
+          throw new Error('incorrect response: ' + JSON.stringify(kept));
+        }
+
+        changes.original = kept.file;
+      }
+
+      this.pendingChanges = changes;
+      this.clearsHistory = !heldFile;
+      this.sendFile(file);
+    } catch (error) {
+      console.log('Image Tool: redaction failed because of', error);
+
+      this.api.notifier.show({
+        message: this.api.i18n.t('Couldn’t redact image. Please try again.'),
+        style: 'error',
+      });
+
+      /**
+       * Held file is not uploaded until it is redacted or redaction is cancelled
+       */
+      if (heldFile) {
+        this.uploadFile(heldFile);
+      }
+    }
+  }
+
+  /**
+   * Renders adjustments into a copy of the image and uploads it instead of the current file.
+   * Adjustments are reset after uploading, because the new file already has them
+   *
+   * @returns {Promise<void>}
+   */
+  async bakeAdjustments() {
+    try {
+      const original = await this.fetchImage();
+      const file = await adjustImage(original, this._data.adjustments);
+
+      this.pendingChanges = { adjustments: Adjuster.defaults };
+      this.clearsHistory = false;
+      this.sendFile(file);
+    } catch (error) {
+      console.log('Image Tool: adjustments baking failed because of', error);
+
+      this.api.notifier.show({
+        message: this.api.i18n.t(
+          'Couldn’t save adjusted image. Please try again.'
+        ),
+        style: 'error',
+      });
+    }
+  }
+
+  /**
+   * Renders the image with crop, rotation, flipping, annotations and adjustments into a new file and uploads it.
+   * Edits are reset after uploading, because the new file already has them. Replaced file is kept as the export source
+   *
+   * @param {ExportOptions} options - output size and format
+   * @returns {Promise<void>}
+   */
+  async exportImage(options) {
+    try {
+      const original = await this.fetchImage();
+      const file = await exportImage(original, this._data, options);
+
+      const { crop, transform } = this._data;
+      const isMoved =
+        crop || transform.rotate || transform.flipX || transform.flipY;
+
+      /**
+       * Hotspots point to the image pixels, they are valid while the pixels are not moved
+       */
+      this.pendingChanges = Object.assign(ImageTool.imageEdits, {
+        exportSource: this._data.exportSource || this._data.file,
+        height: 0,
+        hotspots: isMoved ? [] : this._data.hotspots,
+      });
+      this.clearsHistory = false;
+      this.sendFile(file);
+    } catch (error) {
+      console.log('Image Tool: image export failed because of', error);
+
+      this.api.notifier.show({
+        message: this.api.i18n.t('Couldn’t save new image. Please try again.'),
+        style: 'error',
+      });
+    }
+  }
+
+  /**
+   * Uploads new file or URL instead of the current image. Caption, alignment and tunes are kept,
+   * edits made for the previous image are reset. Custom size is reset to config defaults unless keepSize is set
+   *
+   * @param {object} source - new image
+   * @param {File} [source.file] - selected or pasted file
+   * @param {string} [source.url] - entered image URL
+   * @param {boolean} source.keepSize - keep custom width and height
+   * @returns {void}
+   */
+  replaceImage({ file, url, keepSize }) {
+    this.pendingChanges = Object.assign(ImageTool.imageEdits, {
+      original: undefined,
+      exportSource: undefined,
+      hotspots: [],
+      meta: Attributor.normalize(),
+    });
+    this.clearsHistory = false;
+
+    if (!keepSize) {
+      Object.assign(this.pendingChanges, {
+        width: this.config.imageWidth,
+        height: this.config.imageHeight,
+        widthUnit: this.config.widthUnit,
+      });
+    }
+
+    if (file) {
+      this.uploadFile(file);
+    } else {
+      this.uploadUrl(url);
+    }
+  }
+
+  /**
+   * Loads current image file, so it can be edited in browser. Image server should allow CORS requests
+   *
+   * @returns {Promise<Blob>}
+   */
+  async fetchImage() {
+    const response = await fetch(this._data.file.url);
+
+    if (!response.ok) {
+      throw new Error(`image can not be loaded: ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
+  /**
+   * Inserts new image blocks after the current one and uploads files into them
+   *
+   * @param {File[]} files - files to upload, one per block
+   * @returns {void}
+   */
+  insertBlocks(files) {
+    const index = this.api.blocks.getCurrentBlockIndex();
+
+    files.forEach((file, i) => {
+      const block = this.api.blocks.insert(
+        this.block.name,
+        {},
+        undefined,
+        index + 1 + i,
+        false
+      );
+
+      block.call('uploadFile', file);
+    });
+  }
+
   /**
    * Show preloader and upload image by target url
    *
@@ -0,0 +1,640 @@
+import { IconCross, IconChevronLeft, IconChevronRight } from '@codexteam/icons';
+import Annotator from './annotate';
+import { make } from './utils/dom';
+
+/**
+ * @typedef {object} LightboxSlide
+ * @description Image shown in the lightbox with the block edits that change how it looks
+ * @property {string} url - full resolution image URL
+ * @property {string} alt - alternative text
+ * @property {string} caption - caption HTML, shown as an overlay
+ * @property {ImageCrop|null} crop - shown area
+ * @property {ImageTransform} transform - rotation and flipping
+ * @property {ImageAnnotation[]} annotations - shapes drawn over the image
+ * @property {string} filter - CSS filter of the colour adjustments
+ */
+
+/**
+ * @typedef {object} LightboxSource
+ * @description Read-only block that can be opened in the lightbox
+ * @property {Element} element - block element, gives the order of images on the page
+ * @property {function(): (LightboxSlide|null)} getSlide - returns the shown image, null when the block has none
+ */
+
+/**
+ * Zoom in natural image pixels that can be reached, 2 shows every pixel as 2×2
+ */
+const MAX_NATURAL_ZOOM = 2;
+
+/**
+ * Zoom applied by one step of keyboard zooming and by double click
+ */
+const ZOOM_STEP = 1.5;
+const DOUBLE_CLICK_ZOOM = 2.5;
+
+/**
+ * Zoom change for one pixel of wheel scrolling
+ */
+const WHEEL_SPEED = 0.002;
+
+/**
+ * Pointer movement in pixels after which a press is not a click
+ */
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Blocks of all editors on the page that can be opened in the lightbox
+ *
+ * @type {Set<LightboxSource>}
+ */
+const sources = new Set();
+
+/**
+ * Viewer shared by all blocks, created on first opening
+ *
+ * @type {Lightbox|null}
+ */
+let viewer = null;
+
+/**
+ * Full-screen viewer of read-only images: full resolution, wheel and pinch zoom, panning,
+ * keyboard navigation across image blocks and caption overlay
+ */
+export default class Lightbox {
+  /**
+   * @param {object} params - lightbox params
+   * @param {object} params.api - Editor.js API
+   */
+  constructor({ api }) {
+    this.api = api;
+
+    /**
+     * Opened block
+     *
+     * @type {LightboxSource|null}
+     */
+    this.source = null;
+
+    /**
+     * Zoom relative to the fitted image and pan offset in pixels from the centre
+     */
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+
+    /**
+     * Fitted size of the shown image and its rotated box
+     */
+    this.fitted = null;
+
+    /**
+     * Pressed pointers by id, two of them zoom the image
+     *
+     * @type {Map<number, {x: number, y: number}>}
+     */
+    this.pointers = new Map();
+
+    /**
+     * Whether pointer has moved since it was pressed
+     *
+     * @type {boolean}
+     */
+    this.isMoved = false;
+
+    /**
+     * Element focused before opening, focused again on closing
+     *
+     * @type {Element|null}
+     */
+    this.previousFocus = null;
+
+    this.onKeydown = this.onKeydown.bind(this);
+    this.onResize = () => this.fit();
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      stage: make('div', this.CSS.stage),
+      box: null,
+      image: null,
+      caption: make('div', this.CSS.caption),
+      counter: make('div', this.CSS.counter),
+      closeButton: this.createButton(IconCross, 'Close', this.CSS.close, () =>
+        this.close()
+      ),
+      prevButton: this.createButton(
+        IconChevronLeft,
+        'Previous image',
+        this.CSS.prev,
+        () => this.go(-1)
+      ),
+      nextButton: this.createButton(
+        IconChevronRight,
+        'Next image',
+        this.CSS.next,
+        () => this.go(1)
+      ),
+    };
+
+    this.nodes.wrapper.setAttribute('role', 'dialog');
+    this.nodes.wrapper.setAttribute('aria-modal', 'true');
+
+    this.nodes.stage.addEventListener('pointerdown', (e) =>
+      this.onPointerDown(e)
+    );
+    this.nodes.stage.addEventListener('pointermove', (e) =>
+      this.onPointerMove(e)
+    );
+    this.nodes.stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.nodes.stage.addEventListener('pointercancel', (e) =>
+      this.onPointerUp(e)
+    );
+    this.nodes.stage.addEventListener('dblclick', (e) => {
+      this.zoomAt(e.clientX, e.clientY, this.scale > 1 ? 1 : DOUBLE_CLICK_ZOOM);
+    });
+    this.nodes.stage.addEventListener(
+      'wheel',
+      (e) => {
+        e.preventDefault();
+        this.zoomAt(
+          e.clientX,
+          e.clientY,
+          this.scale * Math.exp(-e.deltaY * WHEEL_SPEED)
+        );
+      },
+      { passive: false }
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.stage);
+    this.nodes.wrapper.appendChild(this.nodes.caption);
+    this.nodes.wrapper.appendChild(this.nodes.counter);
+    this.nodes.wrapper.appendChild(this.nodes.prevButton);
+    this.nodes.wrapper.appendChild(this.nodes.nextButton);
+    this.nodes.wrapper.appendChild(this.nodes.closeButton);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool-lightbox',
+      stage: 'image-tool-lightbox__stage',
+      box: 'image-tool-lightbox__box',
+      image: 'image-tool-lightbox__image',
+      annotations: 'image-tool-lightbox__annotations',
+      caption: 'image-tool-lightbox__caption',
+      counter: 'image-tool-lightbox__counter',
+      button: 'image-tool-lightbox__button',
+      close: 'image-tool-lightbox__button--close',
+      prev: 'image-tool-lightbox__button--prev',
+      next: 'image-tool-lightbox__button--next',
+      zoomed: 'image-tool-lightbox--zoomed',
+    };
+  }
+
+  /**
+   * Adds read-only block to the navigation. Removed blocks are dropped when the list is read
+   *
+   * @param {LightboxSource} source - block to add
+   * @returns {void}
+   */
+  static register(source) {
+    sources.add(source);
+  }
+
+  /**
+   * Opens the shared viewer with the passed block
+   *
+   * @param {LightboxSource} source - clicked block
+   * @param {object} api - Editor.js API
+   * @returns {void}
+   */
+  static open(source, api) {
+    if (!viewer) {
+      viewer = new Lightbox({ api });
+    }
+
+    viewer.open(source);
+  }
+
+  /**
+   * Blocks that have an image to show, in the page order
+   *
+   * @returns {LightboxSource[]}
+   */
+  get sources() {
+    sources.forEach((source) => {
+      if (!source.element.isConnected) {
+        sources.delete(source);
+      }
+    });
+
+    return Array.from(sources)
+      .filter((source) => source.getSlide())
+      .sort((a, b) =>
+        a.element.compareDocumentPosition(b.element) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+          ? -1
+          : 1
+      );
+  }
+
+  /**
+   * Shows the viewer over the page
+   *
+   * @param {LightboxSource} source - block to show
+   * @returns {void}
+   */
+  open(source) {
+    this.previousFocus = document.activeElement;
+    document.body.appendChild(this.nodes.wrapper);
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', this.onKeydown, true);
+    window.addEventListener('resize', this.onResize);
+
+    this.show(source);
+    this.nodes.closeButton.focus();
+  }
+
+  /**
+   * Hides the viewer and returns focus to the page
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+    document.body.style.overflow = '';
+    document.removeEventListener('keydown', this.onKeydown, true);
+    window.removeEventListener('resize', this.onResize);
+    this.pointers.clear();
+    this.source = null;
+
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+
+  /**
+   * Shows the next or previous block image
+   *
+   * @param {number} step - 1 for the next image, -1 for the previous one
+   * @returns {void}
+   */
+  go(step) {
+    const list = this.sources;
+    const next = list[list.indexOf(this.source) + step];
+
+    if (next) {
+      this.show(next);
+    }
+  }
+
+  /**
+   * Renders block image with its crop, rotation, annotations and adjustments
+   *
+   * @param {LightboxSource} source - block to show
+   * @returns {void}
+   */
+  show(source) {
+    const slide = source.getSlide();
+    const list = this.sources;
+    const index = list.indexOf(source);
+    const area = slide.crop || {
+      x: 0,
+      y: 0,
+      width: 1,
+      height: 1,
+    };
+
+    this.source = source;
+    this.fitted = null;
+
+    if (this.nodes.box) {
+      this.nodes.box.remove();
+    }
+
+    this.nodes.box = make('div', this.CSS.box);
+    this.nodes.image = make('img', this.CSS.image, {
+      src: slide.url,
+      alt: slide.alt || '',
+      draggable: false,
+    });
+
+    this.nodes.image.style.left = `${(-area.x / area.width) * 100}%`;
+    this.nodes.image.style.top = `${(-area.y / area.height) * 100}%`;
+    this.nodes.image.style.width = `${100 / area.width}%`;
+    this.nodes.image.style.height = `${100 / area.height}%`;
+    this.nodes.image.style.filter = slide.filter;
+    this.nodes.image.addEventListener(
+      'load',
+      () => {
+        if (this.source !== source) {
+          return;
+        }
+
+        if (slide.annotations.length) {
+          const svg = Annotator.render(
+            slide.annotations,
+            this.nodes.image.naturalHeight / this.nodes.image.naturalWidth
+          );
+
+          svg.classList.add(this.CSS.annotations);
+          ['left', 'top', 'width', 'height'].forEach((property) => {
+            svg.style[property] = this.nodes.image.style[property];
+          });
+          this.nodes.box.appendChild(svg);
+        }
+
+        this.fit();
+      },
+      { once: true }
+    );
+
+    this.nodes.box.appendChild(this.nodes.image);
+    this.nodes.stage.appendChild(this.nodes.box);
+
+    this.nodes.caption.innerHTML = slide.caption || '';
+    this.nodes.caption.hidden = !this.nodes.caption.textContent.trim();
+    this.nodes.wrapper.setAttribute(
+      'aria-label',
+      this.nodes.caption.textContent.trim() ||
+        slide.alt ||
+        this.api.i18n.t('Image')
+    );
+    this.nodes.counter.textContent = `${index + 1} / ${list.length}`;
+    this.nodes.counter.hidden = list.length < 2;
+    this.nodes.prevButton.disabled = index <= 0;
+    this.nodes.nextButton.disabled = index >= list.length - 1;
+  }
+
+  /**
+   * Fits the shown image into the screen, small images keep their natural size
+   *
+   * @returns {void}
+   */
+  fit() {
+    const { image, box, stage } = this.nodes;
+
+    if (!this.source || !image.naturalWidth) {
+      return;
+    }
+
+    const slide = this.source.getSlide();
+    const area = slide.crop || {
+      x: 0,
+      y: 0,
+      width: 1,
+      height: 1,
+    };
+    const width = area.width * image.naturalWidth;
+    const height = area.height * image.naturalHeight;
+    const radians = (slide.transform.rotate * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const boxWidth = width * cos + height * sin;
+    const boxHeight = width * sin + height * cos;
+    const ratio = Math.min(
+      1,
+      stage.clientWidth / boxWidth,
+      stage.clientHeight / boxHeight
+    );
+
+    this.fitted = {
+      ratio,
+      width: boxWidth * ratio,
+      height: boxHeight * ratio,
+    };
+
+    box.style.width = `${width * ratio}px`;
+    box.style.height = `${height * ratio}px`;
+
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.applyZoom();
+  }
+
+  /**
+   * Max zoom relative to the fitted image
+   *
+   * @returns {number}
+   */
+  get maxScale() {
+    return this.fitted
+      ? Math.max(DOUBLE_CLICK_ZOOM, MAX_NATURAL_ZOOM / this.fitted.ratio)
+      : 1;
+  }
+
+  /**
+   * Zooms keeping the passed screen point under the pointer
+   *
+   * @param {number} clientX - horizontal screen coordinate
+   * @param {number} clientY - vertical screen coordinate
+   * @param {number} scale - new zoom relative to the fitted image
+   * @returns {void}
+   */
+  zoomAt(clientX, clientY, scale) {
+    const rect = this.nodes.stage.getBoundingClientRect();
+    const next = Math.min(this.maxScale, Math.max(1, scale));
+    const pointX = clientX - rect.left - rect.width / 2;
+    const pointY = clientY - rect.top - rect.height / 2;
+
+    this.x = pointX - (pointX - this.x) * (next / this.scale);
+    this.y = pointY - (pointY - this.y) * (next / this.scale);
+    this.scale = next;
+    this.applyZoom();
+  }
+
+  /**
+   * Zooms around the screen centre, used by the keyboard
+   *
+   * @param {number} scale - new zoom relative to the fitted image
+   * @returns {void}
+   */
+  zoomCenter(scale) {
+    const rect = this.nodes.stage.getBoundingClientRect();
+
+    this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, scale);
+  }
+
+  /**
+   * Keeps zoomed image over the screen and applies zoom and pan to the image box
+   *
+   * @returns {void}
+   */
+  applyZoom() {
+    const { box, stage, wrapper } = this.nodes;
+
+    if (!this.fitted) {
+      return;
+    }
+
+    const slide = this.source.getSlide();
+    const { rotate, flipX, flipY } = slide.transform;
+    const limitX = Math.max(
+      0,
+      (this.fitted.width * this.scale - stage.clientWidth) / 2
+    );
+    const limitY = Math.max(
+      0,
+      (this.fitted.height * this.scale - stage.clientHeight) / 2
+    );
+
+    this.x = Math.min(limitX, Math.max(-limitX, this.x));
+    this.y = Math.min(limitY, Math.max(-limitY, this.y));
+
+    box.style.transform = [
+      'translate(-50%, -50%)',
+      `translate(${this.x}px, ${this.y}px)`,
+      `scale(${this.scale})`,
+      `rotate(${rotate}deg)`,
+      `scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1})`,
+    ].join(' ');
+
+    wrapper.classList.toggle(this.CSS.zoomed, this.scale > 1);
+  }
+
+  /**
+   * Starts panning, or pinch zooming with the second pointer
+   *
+   * @param {PointerEvent} e - pointerdown event
+   * @returns {void}
+   */
+  onPointerDown(e) {
+    this.nodes.stage.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, {
+      x: e.clientX,
+      y: e.clientY,
+    });
+
+    if (this.pointers.size === 1) {
+      this.isMoved = false;
+    }
+  }
+
+  /**
+   * Pans with one pointer, zooms and pans with two
+   *
+   * @param {PointerEvent} e - pointermove event
+   * @returns {void}
+   */
+  onPointerMove(e) {
+    const previous = this.pointers.get(e.pointerId);
+
+    if (!previous) {
+      return;
+    }
+
+    const current = {
+      x: e.clientX,
+      y: e.clientY,
+    };
+
+    if (this.pointers.size === 2) {
+      const [ other ] = Array.from(this.pointers.entries())
+        .filter(([ id ]) => id !== e.pointerId)
+        .map(([, point]) => point);
+      const distance = Math.hypot(current.x - other.x, current.y - other.y);
+      const previousDistance = Math.hypot(
+        previous.x - other.x,
+        previous.y - other.y
+      );
+
+      this.x += (current.x - previous.x) / 2;
+      this.y += (current.y - previous.y) / 2;
+
+      if (previousDistance) {
+        this.zoomAt(
+          (current.x + other.x) / 2,
+          (current.y + other.y) / 2,
+          (this.scale * distance) / previousDistance
+        );
+      }
+      this.isMoved = true;
+    } else if (this.pointers.size === 1) {
+      this.x += current.x - previous.x;
+      this.y += current.y - previous.y;
+      this.applyZoom();
+
+      if (
+        Math.abs(current.x - previous.x) + Math.abs(current.y - previous.y) >
+        CLICK_TOLERANCE
+      ) {
+        this.isMoved = true;
+      }
+    }
+
+    this.pointers.set(e.pointerId, current);
+  }
+
+  /**
+   * Ends panning. Click on the backdrop closes the viewer
+   *
+   * @param {PointerEvent} e - pointerup or pointercancel event
+   * @returns {void}
+   */
+  onPointerUp(e) {
+    const isClick =
+      e.type === 'pointerup' &&
+      this.pointers.size === 1 &&
+      !this.isMoved &&
+      e.target === this.nodes.stage;
+
+    this.pointers.delete(e.pointerId);
+
+    if (isClick) {
+      this.close();
+    }
+  }
+
+  /**
+   * Keyboard control: arrows switch images, +/- zoom, 0 resets zoom, Escape closes
+   *
+   * @param {KeyboardEvent} e - keydown event
+   * @returns {void}
+   */
+  onKeydown(e) {
+    const actions = {
+      Escape: () => this.close(),
+      ArrowLeft: () => this.go(-1),
+      ArrowRight: () => this.go(1),
+      '+': () => this.zoomCenter(this.scale * ZOOM_STEP),
+      '=': () => this.zoomCenter(this.scale * ZOOM_STEP),
+      '-': () => this.zoomCenter(this.scale / ZOOM_STEP),
+      0: () => this.zoomCenter(1),
+    };
+    const action = actions[e.key];
+
+    if (!action || e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    action();
+  }
+
+  /**
+   * Creates viewer button
+   *
+   * @param {string} icon - button icon
+   * @param {string} title - button title, will be translated
+   * @param {string} modifier - button position class
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(icon, title, modifier, onClick) {
+    const button = make('button', [this.CSS.button, modifier], {
+      type: 'button',
+      innerHTML: icon,
+      title: this.api.i18n.t(title),
+    });
+
+    button.setAttribute('aria-label', button.title);
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
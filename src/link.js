@@ -0,0 +1,201 @@
+import { make } from './utils/dom';
+import isSafeUrl from './utils/isSafeUrl';
+
+/**
+ * @typedef {object} ImageLink
+ * @description Link of the whole image, rendered in read-only mode
+ * @property {string} url - link address
+ * @property {string} target - '_blank' to open in a new tab, empty string otherwise
+ * @property {string} rel - link relationship, e.g. 'nofollow sponsored'
+ */
+
+/**
+ * Link panel: address, new tab option and rel of the image link
+ */
+export default class Linker {
+  /**
+   * @param {object} params - linker module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageLink|null): void} params.onSave - fired with the entered link, null when it is removed
+   * @param {Function} params.onCancel - fired when the panel is closed without changes
+   */
+  constructor({ api, config, onSave, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onSave = onSave;
+    this.onCancel = onCancel;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      url: make('input', this.CSS.input, {
+        type: 'url',
+        placeholder: this.api.i18n.t('Link URL'),
+      }),
+      rel: make('input', this.CSS.input, {
+        type: 'text',
+        placeholder: this.api.i18n.t('rel, e.g. nofollow'),
+      }),
+      newTab: make('input', null, {
+        type: 'checkbox',
+      }),
+      toolbar: make('div', this.CSS.toolbar),
+    };
+
+    /**
+     * Do not let Editor.js handle Enter and Backspace in the inputs
+     */
+    [this.nodes.url, this.nodes.rel].forEach((input) => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.save();
+        }
+        e.stopPropagation();
+      });
+      input.addEventListener('paste', (e) => e.stopPropagation());
+    });
+
+    const newTabLabel = make('label', this.CSS.newTab);
+
+    newTabLabel.appendChild(this.nodes.newTab);
+    newTabLabel.appendChild(
+      document.createTextNode(this.api.i18n.t('Open in new tab'))
+    );
+
+    this.nodes.toolbar.appendChild(newTabLabel);
+    this.nodes.toolbar.appendChild(
+      this.createButton('Remove link', () => this.onSave(null))
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Save', () => this.save())
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.url);
+    this.nodes.wrapper.appendChild(this.nodes.rel);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__linker',
+      input: 'image-tool__linker-input',
+      invalid: 'image-tool__linker-input--invalid',
+      newTab: 'image-tool__linker-new-tab',
+      toolbar: 'image-tool__linker-toolbar',
+      button: 'image-tool__cropper-button',
+    };
+  }
+
+  /**
+   * Checks saved link, links with unsafe URLs are dropped
+   *
+   * @param {object} [link] - saved link
+   * @returns {ImageLink|null}
+   */
+  static normalize(link) {
+    if (!link || !isSafeUrl(link.url)) {
+      return null;
+    }
+
+    return {
+      url: link.url.trim(),
+      target: link.target === '_blank' ? '_blank' : '',
+      rel: typeof link.rel === 'string' ? link.rel.trim() : '',
+    };
+  }
+
+  /**
+   * Link attributes for rendering. New tabs get noopener when rel is not set
+   *
+   * @param {ImageLink} link - block link
+   * @returns {{href: string, target: string, rel: string}}
+   */
+  static attributes(link) {
+    return {
+      href: link.url,
+      target: link.target,
+      rel: link.rel || (link.target === '_blank' ? 'noopener noreferrer' : ''),
+    };
+  }
+
+  /**
+   * Shows the panel with the current link
+   *
+   * @param {ImageLink|null} link - current link
+   * @returns {Element} panel wrapper
+   */
+  open(link) {
+    this.nodes.url.value = link ? link.url : '';
+    this.nodes.rel.value = link ? link.rel : '';
+    this.nodes.newTab.checked = Boolean(link && link.target === '_blank');
+    this.nodes.url.classList.remove(this.CSS.invalid);
+    setTimeout(() => this.nodes.url.focus());
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the panel
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Passes entered link, empty address removes the link
+   *
+   * @returns {void}
+   */
+  save() {
+    const url = this.nodes.url.value.trim();
+
+    if (!url) {
+      this.onSave(null);
+
+      return;
+    }
+
+    const link = Linker.normalize({
+      url,
+      target: this.nodes.newTab.checked ? '_blank' : '',
+      rel: this.nodes.rel.value,
+    });
+
+    if (!link) {
+      this.nodes.url.classList.add(this.CSS.invalid);
+
+      return;
+    }
+
+    this.onSave(link);
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
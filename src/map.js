@@ -0,0 +1,717 @@
+import { make } from './utils/dom';
+import isSafeUrl from './utils/isSafeUrl';
+import Linker from './link';
+
+/**
+ * @typedef {object} ImageHotspot
+ * @description Linked region of the image in coordinates normalized to the natural image size (0..1)
+ * @property {string} type - 'rect' or 'polygon'
+ * @property {number} [x] - rectangle left edge
+ * @property {number} [y] - rectangle top edge
+ * @property {number} [width] - rectangle width
+ * @property {number} [height] - rectangle height
+ * @property {number[]} [points] - polygon vertices as [x1, y1, x2, y2, ...]
+ * @property {string} url - link address
+ * @property {string} title - tooltip and accessible name of the link
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Distance in stage pixels to the first vertex that closes the polygon
+ */
+const CLOSE_DISTANCE = 10;
+
+/**
+ * Hotspot mode: rectangles and polygons drawn over the whole image on a Konva stage, each one with its URL and tooltip.
+ * Hotspots are rendered as SVG links over the image in read-only mode, see {@link Mapper.render}
+ */
+export default class Mapper {
+  /**
+   * @param {object} params - mapper module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageHotspot[]): void} params.onApply - fired with all drawn hotspots
+   * @param {Function} params.onCancel - fired when hotspot mode is closed without changes
+   */
+  constructor({ api, config, onApply, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onApply = onApply;
+    this.onCancel = onCancel;
+
+    /**
+     * Shape of the new hotspots, one of {@link Mapper.tools}
+     *
+     * @type {string}
+     */
+    this.tool = Mapper.tools[0];
+
+    /**
+     * Rectangle frame or polygon that is being drawn right now
+     *
+     * @type {object|null}
+     */
+    this.drawing = null;
+    this.konva = {};
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      stage: make('div', this.CSS.stage),
+      fields: make('div', this.CSS.fields),
+      url: make('input', this.CSS.input, {
+        type: 'url',
+        placeholder: this.api.i18n.t('Hotspot URL'),
+      }),
+      title: make('input', this.CSS.input, {
+        type: 'text',
+        placeholder: this.api.i18n.t('Tooltip'),
+      }),
+      toolbar: make('div', this.CSS.toolbar),
+      toolButtons: {},
+    };
+
+    Mapper.tools.forEach((tool) => {
+      const button = this.createButton(
+        tool === 'rect' ? 'Rectangle' : 'Polygon',
+        () => this.setTool(tool)
+      );
+
+      this.nodes.toolButtons[tool] = button;
+      this.nodes.toolbar.appendChild(button);
+    });
+
+    /**
+     * Inputs edit the selected hotspot. Do not let Editor.js handle Enter and Backspace in them
+     */
+    [
+      [this.nodes.url, 'hotspotUrl'],
+      [this.nodes.title, 'hotspotTitle'],
+    ].forEach(([input, attr]) => {
+      input.addEventListener('input', () => {
+        const [ selected ] = this.konva.transformer.nodes();
+
+        if (selected) {
+          selected.setAttr(attr, input.value);
+        }
+      });
+      input.addEventListener('keydown', (e) => e.stopPropagation());
+      input.addEventListener('paste', (e) => e.stopPropagation());
+      this.nodes.fields.appendChild(input);
+    });
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Delete', () => this.removeSelected())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Apply', () => this.onApply(this.getHotspots()))
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.stage);
+    this.nodes.wrapper.appendChild(this.nodes.fields);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__mapper',
+      stage: 'image-tool__mapper-stage',
+      fields: 'image-tool__mapper-fields',
+      input: 'image-tool__mapper-input',
+      toolbar: 'image-tool__mapper-toolbar',
+      button: 'image-tool__cropper-button',
+      buttonActive: 'image-tool__cropper-button--active',
+    };
+  }
+
+  /**
+   * Available hotspot shapes
+   *
+   * @returns {string[]}
+   */
+  static get tools() {
+    return ['rect', 'polygon'];
+  }
+
+  /**
+   * Drops broken hotspots and the ones with unsafe or empty URLs
+   *
+   * @param {object[]} [hotspots] - saved hotspots
+   * @returns {ImageHotspot[]}
+   */
+  static normalize(hotspots) {
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+    return (Array.isArray(hotspots) ? hotspots : [])
+      .filter((hotspot) => {
+        if (!hotspot || !isSafeUrl(hotspot.url)) {
+          return false;
+        }
+
+        if (hotspot.type === 'polygon') {
+          return (
+            Array.isArray(hotspot.points) &&
+            hotspot.points.length >= 6 &&
+            hotspot.points.every(isNumber)
+          );
+        }
+
+        return (
+          hotspot.type === 'rect' &&
+          ['x', 'y', 'width', 'height'].every((key) =>
+            isNumber(hotspot[key])
+          ) &&
+          hotspot.width > 0 &&
+          hotspot.height > 0
+        );
+      })
+      .map((hotspot) =>
+        Object.assign({}, hotspot, {
+          url: hotspot.url.trim(),
+          title: typeof hotspot.title === 'string' ? hotspot.title : '',
+        })
+      );
+  }
+
+  /**
+   * Renders hotspots to SVG that is stretched over the image. Readers get links,
+   * the block link covers the rest of the image, because links can not be nested
+   *
+   * @param {ImageHotspot[]} hotspots - saved hotspots
+   * @param {object} options - render options
+   * @param {boolean} options.links - wrap shapes with links, false for outlines shown in the editor
+   * @param {ImageLink|null} [options.link] - block link for the area outside of the hotspots
+   * @returns {SVGSVGElement}
+   */
+  static render(hotspots, { links, link = null }) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+
+    /**
+     * Creates SVG element with attributes, empty ones are skipped
+     *
+     * @param {string} tag - element name
+     * @param {object} attributes - element attributes
+     * @returns {SVGElement}
+     */
+    const create = (tag, attributes) => {
+      const el = document.createElementNS(SVG_NS, tag);
+
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (value !== '') {
+          el.setAttribute(name, value);
+        }
+      });
+
+      return el;
+    };
+
+    /**
+     * Shape of the hotspot in the 1×1 view box
+     *
+     * @param {ImageHotspot} hotspot - hotspot to draw
+     * @returns {SVGElement}
+     */
+    const createShape = (hotspot) => {
+      if (hotspot.type === 'polygon') {
+        return create('polygon', { points: hotspot.points.join(' ') });
+      }
+
+      return create('rect', {
+        x: hotspot.x,
+        y: hotspot.y,
+        width: hotspot.width,
+        height: hotspot.height,
+      });
+    };
+
+    svg.setAttribute('viewBox', '0 0 1 1');
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    if (!links) {
+      svg.setAttribute('aria-hidden', 'true');
+      hotspots.forEach((hotspot) => svg.appendChild(createShape(hotspot)));
+
+      return svg;
+    }
+
+    const areas = hotspots.map((hotspot) => ({
+      shape: createShape(hotspot),
+      attributes: { href: hotspot.url },
+      label: hotspot.title || hotspot.url,
+      title: hotspot.title,
+    }));
+
+    if (link) {
+      areas.unshift({
+        shape: create('rect', {
+          x: 0,
+          y: 0,
+          width: 1,
+          height: 1,
+        }),
+        attributes: Linker.attributes(link),
+        label: link.url,
+        title: '',
+      });
+    }
+
+    areas.forEach(({ shape, attributes, label, title }) => {
+      const anchor = create(
+        'a',
+        Object.assign({ 'aria-label': label }, attributes)
+      );
+
+      if (title) {
+        anchor.appendChild(create('title', {})).textContent = title;
+      }
+      anchor.appendChild(shape);
+      svg.appendChild(anchor);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Shows the whole image with the saved hotspots
+   *
+   * @param {HTMLImageElement} imageEl - loaded image element
+   * @param {number} maxWidth - max stage width
+   * @param {ImageHotspot[]} hotspots - saved hotspots
+   * @returns {Element} hotspot mode wrapper
+   */
+  open(imageEl, maxWidth, hotspots) {
+    const MAX_HEIGHT = 500;
+    const scale = Math.min(
+      1,
+      maxWidth / imageEl.naturalWidth,
+      MAX_HEIGHT / imageEl.naturalHeight
+    );
+    const width = imageEl.naturalWidth * scale;
+    const height = imageEl.naturalHeight * scale;
+
+    const stage = new Konva.Stage({
+      container: this.nodes.stage,
+      width,
+      height,
+    });
+    const layer = new Konva.Layer();
+    const group = new Konva.Group();
+    const transformer = new Konva.Transformer({
+      rotateEnabled: false,
+      flipEnabled: false,
+    });
+
+    stage.add(layer);
+    layer.add(new Konva.Image({
+      image: imageEl,
+      width,
+      height,
+    }));
+    layer.add(group);
+    layer.add(transformer);
+
+    this.konva = {
+      stage,
+      layer,
+      group,
+      transformer,
+      width,
+      height,
+    };
+
+    hotspots.forEach((hotspot) => {
+      const attrs = {
+        hotspotUrl: hotspot.url,
+        hotspotTitle: hotspot.title,
+      };
+
+      if (hotspot.type === 'polygon') {
+        this.addHotspot(
+          new Konva.Line(
+            Object.assign(attrs, {
+              points: hotspot.points.map((value, index) =>
+                index % 2 ? value * height : value * width
+              ),
+            })
+          )
+        );
+      } else {
+        this.addHotspot(
+          new Konva.Rect(
+            Object.assign(attrs, {
+              x: hotspot.x * width,
+              y: hotspot.y * height,
+              width: hotspot.width * width,
+              height: hotspot.height * height,
+            })
+          )
+        );
+      }
+    });
+
+    stage.on('mousedown touchstart', (e) => this.onPointerDown(e));
+    stage.on('mousemove touchmove', () => this.onPointerMove());
+    stage.on('mouseup touchend', () => this.onPointerUp());
+    stage.on('dblclick dbltap', () => this.finishPolygon());
+
+    this.setTool(this.tool);
+    this.select(null);
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the stage
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.konva.stage) {
+      this.konva.stage.destroy();
+    }
+    this.konva = {};
+    this.drawing = null;
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Selects shape of the new hotspots
+   *
+   * @param {string} tool - one of {@link Mapper.tools}
+   * @returns {void}
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.cancelDrawing();
+
+    Object.entries(this.nodes.toolButtons).forEach(([name, button]) => {
+      button.classList.toggle(this.CSS.buttonActive, name === tool);
+    });
+  }
+
+  /**
+   * Highlights the hotspot and shows its URL and tooltip, null to reset selection
+   *
+   * @param {object|null} node - Konva node of the hotspot
+   * @returns {void}
+   */
+  select(node) {
+    this.konva.transformer.nodes(node ? [ node ] : []);
+    this.konva.layer.batchDraw();
+
+    this.nodes.url.disabled = !node;
+    this.nodes.title.disabled = !node;
+    this.nodes.url.value = node ? node.getAttr('hotspotUrl') || '' : '';
+    this.nodes.title.value = node ? node.getAttr('hotspotTitle') || '' : '';
+
+    if (node) {
+      setTimeout(() => this.nodes.url.focus());
+    }
+  }
+
+  /**
+   * Removes selected hotspot
+   *
+   * @returns {void}
+   */
+  removeSelected() {
+    this.konva.transformer.nodes().forEach((node) => node.destroy());
+    this.select(null);
+  }
+
+  /**
+   * Adds hotspot shape to the stage
+   *
+   * @param {object} node - Konva rectangle or closed line
+   * @returns {object} added node
+   */
+  addHotspot(node) {
+    node.setAttrs({
+      fill: 'rgba(56, 138, 229, 0.25)',
+      stroke: '#388ae5',
+      strokeWidth: 2,
+      strokeScaleEnabled: false,
+      closed: true,
+      draggable: true,
+    });
+    this.konva.group.add(node);
+
+    return node;
+  }
+
+  /**
+   * Selects the clicked hotspot, starts a new one or adds a polygon vertex
+   *
+   * @param {object} e - Konva event
+   * @returns {void}
+   */
+  onPointerDown(e) {
+    const { group, layer } = this.konva;
+    const pos = this.konva.stage.getPointerPosition();
+
+    if (this.drawing && this.drawing.polygon) {
+      this.addVertex(pos);
+
+      return;
+    }
+
+    if (e.target.parent === group) {
+      this.select(e.target);
+
+      return;
+    }
+
+    /**
+     * Transformer handles are its own children
+     */
+    if (e.target.getParent() !== layer) {
+      return;
+    }
+
+    this.select(null);
+
+    if (this.tool === 'polygon') {
+      const polygon = new Konva.Line({
+        points: [pos.x, pos.y, pos.x, pos.y],
+        stroke: '#fff',
+        strokeWidth: 1,
+        dash: [4, 4],
+      });
+
+      layer.add(polygon);
+      this.drawing = { polygon };
+
+      return;
+    }
+
+    const frame = new Konva.Rect({
+      x: pos.x,
+      y: pos.y,
+      width: 0,
+      height: 0,
+      stroke: '#fff',
+      strokeWidth: 1,
+      dash: [4, 4],
+    });
+
+    layer.add(frame);
+    this.drawing = {
+      frame,
+      start: pos,
+    };
+  }
+
+  /**
+   * Updates the frame or the last polygon vertex that follows the pointer
+   *
+   * @returns {void}
+   */
+  onPointerMove() {
+    if (!this.drawing) {
+      return;
+    }
+
+    const { width, height } = this.konva;
+    const pos = this.konva.stage.getPointerPosition();
+    const x = Math.min(Math.max(pos.x, 0), width);
+    const y = Math.min(Math.max(pos.y, 0), height);
+
+    if (this.drawing.polygon) {
+      const points = this.drawing.polygon.points().slice(0, -2);
+
+      this.drawing.polygon.points(points.concat([x, y]));
+    } else {
+      const { frame, start } = this.drawing;
+
+      frame.position({
+        x: Math.min(start.x, x),
+        y: Math.min(start.y, y),
+      });
+      frame.size({
+        width: Math.abs(x - start.x),
+        height: Math.abs(y - start.y),
+      });
+    }
+
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Turns the drawn frame into a hotspot, accidental clicks without movement are dropped.
+   * Polygons are finished by clicking the first vertex or by double click
+   *
+   * @returns {void}
+   */
+  onPointerUp() {
+    if (!this.drawing || this.drawing.polygon) {
+      return;
+    }
+
+    const { frame } = this.drawing;
+    const MIN_SIZE = 5;
+
+    if (frame.width() >= MIN_SIZE && frame.height() >= MIN_SIZE) {
+      this.select(
+        this.addHotspot(
+          new Konva.Rect({
+            x: frame.x(),
+            y: frame.y(),
+            width: frame.width(),
+            height: frame.height(),
+          })
+        )
+      );
+    }
+
+    frame.destroy();
+    this.konva.layer.batchDraw();
+    this.drawing = null;
+  }
+
+  /**
+   * Fixes the vertex that follows the pointer, a click on the first vertex closes the polygon
+   *
+   * @param {{x: number, y: number}} pos - pointer position
+   * @returns {void}
+   */
+  addVertex(pos) {
+    const { polygon } = this.drawing;
+    const points = polygon.points();
+    const [firstX, firstY] = points;
+    const [lastX, lastY] = points.slice(-4);
+
+    /**
+     * Second click of a double click lands on the just fixed vertex
+     */
+    if (Math.hypot(pos.x - lastX, pos.y - lastY) < 1) {
+      return;
+    }
+
+    if (
+      points.length >= 8 &&
+      Math.hypot(pos.x - firstX, pos.y - firstY) <= CLOSE_DISTANCE
+    ) {
+      this.finishPolygon();
+
+      return;
+    }
+
+    polygon.points(points.concat([pos.x, pos.y]));
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Turns the drawn polygon into a hotspot, polygons with less than 3 vertices are dropped
+   *
+   * @returns {void}
+   */
+  finishPolygon() {
+    if (!this.drawing || !this.drawing.polygon) {
+      return;
+    }
+
+    /**
+     * The last vertex follows the pointer, it is not fixed yet
+     */
+    const points = this.drawing.polygon.points().slice(0, -2);
+
+    this.cancelDrawing();
+
+    if (points.length >= 6) {
+      this.select(this.addHotspot(new Konva.Line({ points })));
+    }
+  }
+
+  /**
+   * Drops the frame or polygon that is being drawn
+   *
+   * @returns {void}
+   */
+  cancelDrawing() {
+    if (!this.drawing) {
+      return;
+    }
+
+    (this.drawing.polygon || this.drawing.frame).destroy();
+    this.drawing = null;
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Returns all hotspots normalized to the image size. Moving and scaling are applied to the points
+   *
+   * @returns {ImageHotspot[]}
+   */
+  getHotspots() {
+    const { width, height, group } = this.konva;
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+    return Mapper.normalize(
+      group.children.map((node) => {
+        const transform = node.getTransform();
+        const link = {
+          url: node.getAttr('hotspotUrl') || '',
+          title: (node.getAttr('hotspotTitle') || '').trim(),
+        };
+
+        if (node.getClassName() === 'Line') {
+          const points = [];
+
+          for (let i = 0; i < node.points().length; i += 2) {
+            const point = transform.point({
+              x: node.points()[i],
+              y: node.points()[i + 1],
+            });
+
+            points.push(
+              round(clamp(point.x / width)),
+              round(clamp(point.y / height))
+            );
+          }
+
+          return Object.assign({
+            type: 'polygon',
+            points,
+          }, link);
+        }
+
+        return Object.assign(
+          {
+            type: 'rect',
+            x: round(clamp(node.x() / width)),
+            y: round(clamp(node.y() / height)),
+            width: round(clamp((node.width() * node.scaleX()) / width)),
+            height: round(clamp((node.height() * node.scaleY()) / height)),
+          },
+          link
+        );
+      })
+    );
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
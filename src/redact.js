@@ -0,0 +1,461 @@
+import { make } from './utils/dom';
+
+/**
+ * @typedef {object} ImageRedaction
+ * @description Hidden region in coordinates normalized to the natural image size (0..1)
+ * @property {number} x - left edge
+ * @property {number} y - top edge
+ * @property {number} width - region width
+ * @property {number} height - region height
+ * @property {string} effect - 'blur', 'pixelate' or 'solid'
+ */
+
+/**
+ * Redaction mode: regions drawn over the whole image on a Konva stage are previewed with the selected effect.
+ * Regions are returned as {@link ImageRedaction} and burnt into a new image file by the Tool
+ */
+export default class Redactor {
+  /**
+   * @param {object} params - redactor module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function(ImageRedaction[]): void} params.onApply - fired with all drawn regions
+   * @param {Function} params.onCancel - fired when redaction mode is closed without changes
+   */
+  constructor({ api, config, onApply, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onApply = onApply;
+    this.onCancel = onCancel;
+
+    /**
+     * Effect of the new regions, one of {@link Redactor.effects}
+     *
+     * @type {string}
+     */
+    this.effect = Redactor.effects[0];
+
+    /**
+     * Region frame that is being drawn right now
+     *
+     * @type {object|null}
+     */
+    this.drawing = null;
+    this.konva = {};
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      stage: make('div', this.CSS.stage),
+      toolbar: make('div', this.CSS.toolbar),
+      effectButtons: {},
+    };
+
+    Redactor.effects.forEach((effect) => {
+      const button = this.createButton(
+        effect.charAt(0).toUpperCase() + effect.slice(1),
+        () => this.setEffect(effect)
+      );
+
+      this.nodes.effectButtons[effect] = button;
+      this.nodes.toolbar.appendChild(button);
+    });
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Delete', () => this.removeSelected())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Apply', () => this.onApply(this.getRegions()))
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.stage);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__redactor',
+      stage: 'image-tool__redactor-stage',
+      toolbar: 'image-tool__redactor-toolbar',
+      button: 'image-tool__cropper-button',
+      buttonActive: 'image-tool__cropper-button--active',
+    };
+  }
+
+  /**
+   * Available effects
+   *
+   * @returns {string[]}
+   */
+  static get effects() {
+    return ['blur', 'pixelate', 'solid'];
+  }
+
+  /**
+   * Shows the whole image, new regions are drawn by dragging over it
+   *
+   * @param {HTMLImageElement} imageEl - loaded image element
+   * @param {number} maxWidth - max stage width
+   * @returns {Element} redaction mode wrapper
+   */
+  open(imageEl, maxWidth) {
+    const MAX_HEIGHT = 500;
+    const scale = Math.min(
+      1,
+      maxWidth / imageEl.naturalWidth,
+      MAX_HEIGHT / imageEl.naturalHeight
+    );
+    const width = imageEl.naturalWidth * scale;
+    const height = imageEl.naturalHeight * scale;
+
+    const stage = new Konva.Stage({
+      container: this.nodes.stage,
+      width,
+      height,
+    });
+    const layer = new Konva.Layer();
+    const group = new Konva.Group();
+    const transformer = new Konva.Transformer({
+      rotateEnabled: false,
+      flipEnabled: false,
+    });
+
+    stage.add(layer);
+    layer.add(new Konva.Image({
+      image: imageEl,
+      width,
+      height,
+    }));
+    layer.add(group);
+    layer.add(transformer);
+
+    this.konva = {
+      stage,
+      layer,
+      group,
+      transformer,
+      imageEl,
+      width,
+      height,
+      scale,
+    };
+
+    stage.on('mousedown touchstart', (e) => this.onPointerDown(e));
+    stage.on('mousemove touchmove', () => this.onPointerMove());
+    stage.on('mouseup touchend', () => this.onPointerUp());
+
+    this.setEffect(this.effect);
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the stage
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.konva.stage) {
+      this.konva.stage.destroy();
+    }
+    this.konva = {};
+    this.drawing = null;
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Selects effect of the new regions and applies it to the selected one
+   *
+   * @param {string} effect - one of {@link Redactor.effects}
+   * @returns {void}
+   */
+  setEffect(effect) {
+    this.effect = effect;
+
+    Object.entries(this.nodes.effectButtons).forEach(([name, button]) => {
+      button.classList.toggle(this.CSS.buttonActive, name === effect);
+    });
+
+    const [ selected ] = this.konva.transformer
+      ? this.konva.transformer.nodes()
+      : [];
+
+    if (selected && selected.getAttr('redactEffect') !== effect) {
+      const node = this.addRegion(
+        Object.assign(this.getBox(selected), { effect })
+      );
+
+      node.zIndex(selected.zIndex());
+      selected.destroy();
+      this.select(node);
+    }
+  }
+
+  /**
+   * Highlights the region, null to reset selection
+   *
+   * @param {object|null} node - Konva node of the region
+   * @returns {void}
+   */
+  select(node) {
+    this.konva.transformer.nodes(node ? [ node ] : []);
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Removes selected region
+   *
+   * @returns {void}
+   */
+  removeSelected() {
+    this.konva.transformer.nodes().forEach((node) => node.destroy());
+    this.select(null);
+  }
+
+  /**
+   * Selects the clicked region or starts drawing a new one
+   *
+   * @param {object} e - Konva event
+   * @returns {void}
+   */
+  onPointerDown(e) {
+    const { group, layer } = this.konva;
+
+    if (e.target.parent === group) {
+      this.select(e.target);
+
+      return;
+    }
+
+    /**
+     * Transformer handles are its own children
+     */
+    if (e.target.getParent() !== layer) {
+      return;
+    }
+
+    const pos = this.konva.stage.getPointerPosition();
+    const frame = new Konva.Rect({
+      x: pos.x,
+      y: pos.y,
+      width: 0,
+      height: 0,
+      stroke: '#fff',
+      strokeWidth: 1,
+      dash: [4, 4],
+    });
+
+    this.select(null);
+    layer.add(frame);
+    this.drawing = {
+      frame,
+      start: pos,
+    };
+  }
+
+  /**
+   * Updates the region frame that is being drawn
+   *
+   * @returns {void}
+   */
+  onPointerMove() {
+    if (!this.drawing) {
+      return;
+    }
+
+    const { frame, start } = this.drawing;
+    const { width, height } = this.konva;
+    const pos = this.konva.stage.getPointerPosition();
+    const x = Math.min(Math.max(pos.x, 0), width);
+    const y = Math.min(Math.max(pos.y, 0), height);
+
+    frame.position({
+      x: Math.min(start.x, x),
+      y: Math.min(start.y, y),
+    });
+    frame.size({
+      width: Math.abs(x - start.x),
+      height: Math.abs(y - start.y),
+    });
+    this.konva.layer.batchDraw();
+  }
+
+  /**
+   * Turns the drawn frame into a region, accidental clicks without movement are dropped
+   *
+   * @returns {void}
+   */
+  onPointerUp() {
+    if (!this.drawing) {
+      return;
+    }
+
+    const { frame } = this.drawing;
+    const MIN_SIZE = 5;
+
+    if (frame.width() >= MIN_SIZE && frame.height() >= MIN_SIZE) {
+      this.select(
+        this.addRegion(
+          Object.assign(this.getBox(frame), { effect: this.effect })
+        )
+      );
+    }
+
+    frame.destroy();
+    this.konva.layer.batchDraw();
+    this.drawing = null;
+  }
+
+  /**
+   * Adds region with the effect preview. Blur and pixelation are previewed by Konva filters
+   * applied to the matching part of the image, solid regions are plain rectangles
+   *
+   * @param {{x: number, y: number, width: number, height: number, effect: string}} region - region in stage pixels
+   * @returns {object} Konva node of the region
+   */
+  addRegion(region) {
+    let node;
+    const common = {
+      x: region.x,
+      y: region.y,
+      width: region.width,
+      height: region.height,
+      draggable: true,
+      redactEffect: region.effect,
+      dragBoundFunc: (pos) => ({
+        x: Math.min(
+          Math.max(pos.x, 0),
+          this.konva.width - node.width() * node.scaleX()
+        ),
+        y: Math.min(
+          Math.max(pos.y, 0),
+          this.konva.height - node.height() * node.scaleY()
+        ),
+      }),
+    };
+
+    if (region.effect === 'solid') {
+      node = new Konva.Rect(Object.assign({ fill: '#000' }, common));
+    } else {
+      node = new Konva.Image(
+        Object.assign({ image: this.konva.imageEl }, common)
+      );
+      node.on('dragmove', () => this.updatePreview(node));
+      this.updatePreview(node);
+    }
+
+    /**
+     * Transformer scales the region: bake scale into size, so the preview is not stretched
+     */
+    node.on('transformend', () => {
+      node.width(node.width() * node.scaleX());
+      node.height(node.height() * node.scaleY());
+      node.scale({
+        x: 1,
+        y: 1,
+      });
+
+      if (node.getAttr('redactEffect') !== 'solid') {
+        this.updatePreview(node);
+      }
+    });
+
+    this.konva.group.add(node);
+
+    return node;
+  }
+
+  /**
+   * Shows the part of the image under the region with the region effect
+   *
+   * @param {object} node - Konva image of the region
+   * @returns {void}
+   */
+  updatePreview(node) {
+    const { scale } = this.konva;
+    const box = this.getBox(node);
+
+    node.crop({
+      x: box.x / scale,
+      y: box.y / scale,
+      width: box.width / scale,
+      height: box.height / scale,
+    });
+
+    if (node.getAttr('redactEffect') === 'pixelate') {
+      node.filters([ Konva.Filters.Pixelate ]);
+      node.pixelSize(
+        Math.max(4, Math.round(Math.min(box.width, box.height) / 4))
+      );
+    } else {
+      node.filters([ Konva.Filters.Blur ]);
+      node.blurRadius(
+        Math.max(4, Math.round(Math.min(box.width, box.height) / 3))
+      );
+    }
+
+    node.cache();
+  }
+
+  /**
+   * Returns region box in stage pixels
+   *
+   * @param {object} node - Konva node
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getBox(node) {
+    return {
+      x: node.x(),
+      y: node.y(),
+      width: node.width() * node.scaleX(),
+      height: node.height() * node.scaleY(),
+    };
+  }
+
+  /**
+   * Returns all regions normalized to the image size
+   *
+   * @returns {ImageRedaction[]}
+   */
+  getRegions() {
+    const { width, height, group } = this.konva;
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+    return group.children.map((node) => {
+      const box = this.getBox(node);
+
+      return {
+        x: round(clamp(box.x / width)),
+        y: round(clamp(box.y / height)),
+        width: round(clamp(box.width / width)),
+        height: round(clamp(box.height / height)),
+        effect: node.getAttr('redactEffect'),
+      };
+    });
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
@@ -0,0 +1,164 @@
+import ajax from '@codexteam/ajax';
+import { make } from './utils/dom';
+
+/**
+ * Replace panel: picks a new file, URL or pasted file for the filled block.
+ * Caption, alignment and tunes are kept by the Tool, custom size is kept when "Keep size" is checked
+ */
+export default class Replacer {
+  /**
+   * @param {object} params - replacer module params
+   * @param {object} params.api - Editor.js API
+   * @param {ImageConfig} params.config - user config
+   * @param {function({file: (File|undefined), url: (string|undefined), keepSize: boolean}): void} params.onReplace - fired with the new image source
+   * @param {Function} params.onCancel - fired when the panel is closed without replacing
+   */
+  constructor({ api, config, onReplace, onCancel }) {
+    this.api = api;
+    this.config = config;
+    this.onReplace = onReplace;
+    this.onCancel = onCancel;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      url: make('input', this.CSS.url, {
+        type: 'url',
+        placeholder: this.api.i18n.t('Paste image URL or file'),
+      }),
+      keepSize: make('input', null, {
+        type: 'checkbox',
+        checked: this.config.replaceKeepSize,
+      }),
+      toolbar: make('div', this.CSS.toolbar),
+    };
+
+    /**
+     * Do not let Editor.js handle Enter and pasting: they would create new blocks
+     */
+    this.nodes.url.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.replaceWithUrl();
+      }
+      e.stopPropagation();
+    });
+    this.nodes.url.addEventListener('paste', (e) => {
+      const [ file ] = Array.from(e.clipboardData.files || []).filter((item) =>
+        /^image\//.test(item.type)
+      );
+
+      e.stopPropagation();
+
+      if (file) {
+        e.preventDefault();
+        this.replace({ file });
+      }
+    });
+
+    const keepSizeLabel = make('label', this.CSS.keepSize);
+
+    keepSizeLabel.appendChild(this.nodes.keepSize);
+    keepSizeLabel.appendChild(
+      document.createTextNode(this.api.i18n.t('Keep size'))
+    );
+
+    this.nodes.toolbar.appendChild(
+      this.createButton('Select file', () => {
+        ajax.selectFiles({ accept: this.config.types }).then((files) => {
+          this.replace({ file: files[0] });
+        });
+      })
+    );
+    this.nodes.toolbar.appendChild(keepSizeLabel);
+    this.nodes.toolbar.appendChild(
+      this.createButton('Cancel', () => this.onCancel())
+    );
+    this.nodes.toolbar.appendChild(
+      this.createButton('Replace', () => this.replaceWithUrl())
+    );
+
+    this.nodes.wrapper.appendChild(this.nodes.url);
+    this.nodes.wrapper.appendChild(this.nodes.toolbar);
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'image-tool__replacer',
+      url: 'image-tool__replacer-url',
+      keepSize: 'image-tool__replacer-keep-size',
+      toolbar: 'image-tool__replacer-toolbar',
+      button: 'image-tool__cropper-button',
+    };
+  }
+
+  /**
+   * Shows the panel
+   *
+   * @returns {Element} panel wrapper
+   */
+  open() {
+    this.nodes.url.value = '';
+    setTimeout(() => this.nodes.url.focus());
+
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Removes the panel
+   *
+   * @returns {void}
+   */
+  close() {
+    this.nodes.wrapper.remove();
+  }
+
+  /**
+   * Replaces the image with the entered URL
+   *
+   * @returns {void}
+   */
+  replaceWithUrl() {
+    const url = this.nodes.url.value.trim();
+
+    if (url) {
+      this.replace({ url });
+    }
+  }
+
+  /**
+   * Passes new image source with the size option
+   *
+   * @param {{file: (File|undefined), url: (string|undefined)}} source - selected file or entered URL
+   * @returns {void}
+   */
+  replace({ file, url }) {
+    this.onReplace({
+      file,
+      url,
+      keepSize: this.nodes.keepSize.checked,
+    });
+  }
+
+  /**
+   * Creates toolbar button
+   *
+   * @param {string} title - button label, will be translated
+   * @param {Function} onClick - click handler
+   * @returns {Element}
+   */
+  createButton(title, onClick) {
+    const button = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t(title),
+    });
+
+    button.addEventListener('click', onClick);
+
+    return button;
+  }
+}
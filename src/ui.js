@@ -5,8 +5,52 @@ import {
   IconAlignCenter,
   IconReplace,
   IconUndo,
+  IconRedo,
+  IconCross,
 } from '@codexteam/icons';
 import { make } from './utils/dom';
+import Cropper from './crop';
+import Annotator from './annotate';
+import Redactor from './redact';
+import Adjuster from './adjust';
+import Exporter from './export';
+import Replacer from './replace';
+import Mapper from './map';
+import Linker from './link';
+import Attributor from './attribution';
+import Gallery from './gallery';
+import Lightbox from './lightbox';
+import groupVariants from './utils/variants';
+import { sharpenKernel } from './utils/adjustImage';
+import cropIcon from './svg/crop.svg';
+import rotateLeftIcon from './svg/rotate-left.svg';
+import rotateRightIcon from './svg/rotate-right.svg';
+import flipHorizontalIcon from './svg/flip-horizontal.svg';
+import flipVerticalIcon from './svg/flip-vertical.svg';
+import lockIcon from './svg/lock.svg';
+import wrapTextIcon from './svg/wrap-text.svg';
+import focalPointIcon from './svg/focal-point.svg';
+import annotateIcon from './svg/annotate.svg';
+import redactIcon from './svg/redact.svg';
+import adjustIcon from './svg/adjust.svg';
+import exportIcon from './svg/export.svg';
+import replaceIcon from './svg/replace.svg';
+import hotspotIcon from './svg/hotspot.svg';
+
+/**
+ * Crop view area of the image that is wrapped for annotations only
+ */
+const WHOLE_IMAGE = {
+  x: 0,
+  y: 0,
+  width: 1,
+  height: 1,
+};
+
+/**
+ * Counter for unique ids of the sharpen SVG filters, one filter per block
+ */
+let sharpenFilterIndex = 0;
 
 /**
  * Class for working with UI:
@@ -19,14 +63,236 @@ export default class Ui {
    * @param {object} ui - image tool Ui module
    * @param {object} ui.api - Editor.js API
    * @param {ImageConfig} ui.config - user config
+   * @param {object} ui.state - accessors for the block state owned by the Tool
+   * @param {function(): ImageToolData} ui.state.get - returns current block data
+   * @param {function(object): void} ui.state.set - merges passed changes into block data
    * @param {Function} ui.onSelectFile - callback for clicks on Select file button
+   * @param {Function} ui.onCancelUpload - callback for clicks on Cancel uploading button
+   * @param {Function} ui.onRetryUpload - callback for clicks on Retry button after failed uploading
+   * @param {function(ImageRedaction[]): void} ui.onRedactImage - callback for closed redaction mode with drawn regions, empty when it is cancelled.
+   *        The image file should be replaced with the redacted copy
+   * @param {Function} ui.onBakeAdjustments - callback for the Bake action, the adjusted image should replace the file
+   * @param {function(ExportOptions): void} ui.onExportImage - callback for "Save as new image", the edited image should replace the file
+   * @param {function(object): void} ui.onReplaceImage - callback for the selected replacement: file or url and keepSize flag
+   * @param {Function} ui.onUndo - callback for the Undo button and Ctrl+Z
+   * @param {Function} ui.onRedo - callback for the Redo button and Ctrl+Shift+Z
+   * @param {function(object): Uploader} ui.createUploader - creates uploader with passed callbacks
+   * @param {function(): (Element|undefined)} ui.getBlockHolder - returns Editor.js block element that wraps the tool
    * @param {boolean} ui.readOnly - read-only mode flag
    */
-  constructor({ api, config, onSelectFile, readOnly }) {
+  constructor({
+    api,
+    config,
+    state,
+    onSelectFile,
+    onCancelUpload,
+    onRetryUpload,
+    onRedactImage,
+    onBakeAdjustments,
+    onExportImage,
+    onReplaceImage,
+    onUndo,
+    onRedo,
+    createUploader,
+    getBlockHolder,
+    readOnly,
+  }) {
     this.api = api;
     this.config = config;
+    this.state = state;
+    this.getBlockHolder = getBlockHolder;
     this.onSelectFile = onSelectFile;
+    this.onCancelUpload = onCancelUpload;
+    this.onRetryUpload = onRetryUpload;
+    this.onRedactImage = onRedactImage;
+    this.onBakeAdjustments = onBakeAdjustments;
+    this.onExportImage = onExportImage;
+    this.onReplaceImage = onReplaceImage;
+    this.onUndo = onUndo;
+    this.onRedo = onRedo;
     this.readOnly = readOnly;
+
+    /**
+     * Whether Konva resize stage is currently shown instead of the image
+     *
+     * @type {boolean}
+     */
+    this.isResizeMode = false;
+
+    /**
+     * Whether crop stage is currently shown instead of the image
+     *
+     * @type {boolean}
+     */
+    this.isCropMode = false;
+
+    /**
+     * Whether clicks on the image set the focal point
+     *
+     * @type {boolean}
+     */
+    this.isFocalMode = false;
+
+    /**
+     * Whether annotation stage is currently shown instead of the image
+     *
+     * @type {boolean}
+     */
+    this.isAnnotateMode = false;
+
+    /**
+     * Whether redaction stage is currently shown instead of the image
+     *
+     * @type {boolean}
+     */
+    this.isRedactMode = false;
+
+    /**
+     * Whether adjustments panel is currently shown
+     *
+     * @type {boolean}
+     */
+    this.isAdjustMode = false;
+
+    /**
+     * Whether export panel is currently shown
+     *
+     * @type {boolean}
+     */
+    this.isExportMode = false;
+
+    /**
+     * Whether replace panel is currently shown
+     *
+     * @type {boolean}
+     */
+    this.isReplaceMode = false;
+
+    /**
+     * Whether hotspot stage is currently shown instead of the image
+     *
+     * @type {boolean}
+     */
+    this.isHotspotMode = false;
+
+    /**
+     * Whether link panel is currently shown
+     *
+     * @type {boolean}
+     */
+    this.isLinkMode = false;
+
+    /**
+     * Whether attribution panel is currently shown
+     *
+     * @type {boolean}
+     */
+    this.isMetaMode = false;
+
+    /**
+     * Module for gallery mode
+     */
+    this.gallery = new Gallery({
+      api,
+      config,
+      readOnly,
+      createUploader,
+    });
+
+    /**
+     * Module for crop mode
+     */
+    this.cropper = new Cropper({
+      api,
+      config,
+      onApply: (crop) => this.onCrop(crop),
+      onCancel: () => this.toggleCropMode(false),
+    });
+
+    /**
+     * Module for annotation mode
+     */
+    this.annotator = new Annotator({
+      api,
+      config,
+      onApply: (annotations) => this.onAnnotate(annotations),
+      onCancel: () => this.toggleAnnotateMode(false),
+    });
+
+    /**
+     * Module for redaction mode
+     */
+    this.redactor = new Redactor({
+      api,
+      config,
+      onApply: (regions) => this.onRedact(regions),
+      onCancel: () => this.onRedact([]),
+    });
+
+    /**
+     * Module for adjustments panel
+     */
+    this.adjuster = new Adjuster({
+      api,
+      config,
+      onChange: (adjustments) => {
+        this.state.set({ adjustments });
+        this.applyAdjustments();
+      },
+      onBake: () => this.onBake(),
+      onClose: () => this.toggleAdjustMode(false),
+    });
+
+    /**
+     * Module for "Save as new image" panel
+     */
+    this.exporter = new Exporter({
+      api,
+      config,
+      onSave: (options) => this.onExport(options),
+      onCancel: () => this.toggleExportMode(false),
+    });
+
+    /**
+     * Module for replace panel
+     */
+    this.replacer = new Replacer({
+      api,
+      config,
+      onReplace: (source) => this.onReplace(source),
+      onCancel: () => this.toggleReplaceMode(false),
+    });
+
+    /**
+     * Module for hotspot mode
+     */
+    this.mapper = new Mapper({
+      api,
+      config,
+      onApply: (hotspots) => this.onMap(hotspots),
+      onCancel: () => this.toggleHotspotMode(false),
+    });
+
+    /**
+     * Module for link panel
+     */
+    this.linker = new Linker({
+      api,
+      config,
+      onSave: (link) => this.onLink(link),
+      onCancel: () => this.toggleLinkMode(false),
+    });
+
+    /**
+     * Module for attribution panel
+     */
+    this.attributor = new Attributor({
+      api,
+      config,
+      onSave: (meta) => this.onMeta(meta),
+      onCancel: () => this.toggleMetaMode(false),
+    });
+
     this.nodes = {
       wrapper: make('div', [this.CSS.baseClass, this.CSS.wrapper]),
       imageContainer: make('div', [this.CSS.imageContainer]),
@@ -39,24 +305,92 @@ export default class Ui {
       ),
       imageHeight: make(
         'div',
-        [this.CSS.input, this.CSS.caption, this.CSS.setImage],
+        [
+          this.CSS.input,
+          this.CSS.caption,
+          this.CSS.setImage,
+          this.CSS.setImageHeight,
+        ],
         {
           contentEditable: !this.readOnly,
         }
       ),
+      widthUnitButton: this.createWidthUnitButton(),
+      ratioLockButton: this.createRatioLockButton(),
       alignContainer: make('div', this.CSS.alignContainer),
       leftAlign: this.createLeftAlignButton(),
       centerAlign: this.createCenterAlignButton(),
       rightAlign: this.createRightAlignButton(),
+      wrapButton: this.createWrapButton(),
       setSizeButton: this.createSetSizeButton(),
       resizeModeButton: this.createResizeModeButton(),
+      focalModeButton: this.createFocalModeButton(),
+      focalMarker: make('div', this.CSS.focalMarker),
       undoResizeButton: this.createUndoResizeButton(),
+      cropModeButton: this.createCropModeButton(),
+      annotateModeButton: this.createAnnotateModeButton(),
+      hotspotModeButton: this.createHotspotModeButton(),
+      redactModeButton: this.createRedactModeButton(),
+      adjustModeButton: this.createAdjustModeButton(),
+      exportModeButton: this.createExportModeButton(),
+      replaceButton: this.createReplaceButton(),
+      undoButton: this.createHistoryButton(IconUndo, 'Undo', () =>
+        this.onUndo()
+      ),
+      redoButton: this.createHistoryButton(IconRedo, 'Redo', () =>
+        this.onRedo()
+      ),
+      sharpenFilter: null,
+      annotations: null,
+      hotspots: null,
+      link: null,
+      credit: null,
+      altButton: this.createAltButton(),
+      rotateLeftButton: this.createTransformButton(
+        rotateLeftIcon,
+        'Rotate left',
+        ({ rotate }) => ({ rotate: rotate - 90 })
+      ),
+      rotateRightButton: this.createTransformButton(
+        rotateRightIcon,
+        'Rotate right',
+        ({ rotate }) => ({ rotate: rotate + 90 })
+      ),
+      flipHorizontalButton: this.createTransformButton(
+        flipHorizontalIcon,
+        'Flip horizontally',
+        ({ flipX }) => ({ flipX: !flipX })
+      ),
+      flipVerticalButton: this.createTransformButton(
+        flipVerticalIcon,
+        'Flip vertically',
+        ({ flipY }) => ({ flipY: !flipY })
+      ),
+      rotation: make(
+        'div',
+        [this.CSS.input, this.CSS.caption, this.CSS.rotationInput],
+        {
+          contentEditable: !this.readOnly,
+        }
+      ),
       fileButton: this.createFileButton(),
       imageEl: undefined,
+      picture: null,
+      cropView: make('div', this.CSS.cropView),
       imagePreloader: make('div', this.CSS.imagePreloader),
+      progress: make('div', this.CSS.progress),
+      progressTrack: make('div', this.CSS.progressTrack),
+      progressBar: make('div', this.CSS.progressBar),
+      cancelUploadButton: this.createCancelUploadButton(),
+      failure: make('div', this.CSS.failure),
+      retryButton: this.createRetryButton(),
+      failureCancelButton: this.createCancelUploadButton(),
       caption: make('div', [this.CSS.input, this.CSS.caption], {
         contentEditable: !this.readOnly,
       }),
+      alt: make('div', [this.CSS.input, this.CSS.caption, this.CSS.altInput], {
+        contentEditable: !this.readOnly,
+      }),
     };
     this.konva = {};
 
@@ -77,24 +411,134 @@ export default class Ui {
         this.onSetImageSize();
       }
     });
+    this.nodes.imageWidth.addEventListener('input', () => {
+      this.syncSizeInputs('width');
+    });
     this.nodes.imageHeight.dataset.placeholder = this.config.heightPlaceholder;
     this.nodes.imageHeight.addEventListener('keydown', (e) => {
       if (e.keyCode === 13) {
         this.onSetImageSize();
       }
     });
+    this.nodes.imageHeight.addEventListener('input', () => {
+      this.syncSizeInputs('height');
+    });
+
+    this.nodes.alt.dataset.placeholder = this.config.altPlaceholder;
+    this.nodes.alt.addEventListener('input', () => {
+      this.state.set({ alt: this.nodes.alt.textContent.trim() });
+      this.applyAlt();
+    });
+
+    this.nodes.rotation.dataset.placeholder = this.api.i18n.t('angle (°)');
+    this.nodes.rotation.addEventListener('keydown', (e) => {
+      if (e.keyCode === 13) {
+        e.preventDefault();
+        this.onTransform({
+          rotate: Number(this.nodes.rotation.textContent) || 0,
+        });
+      }
+    });
+
+    /**
+     * Block is focusable, so history shortcuts work after clicks on the image and buttons
+     */
+    if (!this.readOnly) {
+      this.nodes.wrapper.tabIndex = -1;
+      this.nodes.wrapper.addEventListener('keydown', (e) =>
+        this.onHistoryKeydown(e)
+      );
+    }
+
+    this.nodes.imageContainer.addEventListener('click', (e) => {
+      if (this.isFocalMode && e.target === this.nodes.imageEl) {
+        this.onSetFocalPoint(e);
+      }
+    });
+
+    /**
+     * Readers open the image in the lightbox by click, Enter or Space
+     */
+    if (this.readOnly && this.config.lightbox) {
+      this.lightboxSource = {
+        element: this.nodes.wrapper,
+        getSlide: () => this.lightboxSlide,
+      };
+      Lightbox.register(this.lightboxSource);
+
+      this.nodes.wrapper.classList.add(this.CSS.wrapperLightbox);
+      this.nodes.imageContainer.tabIndex = 0;
+      this.nodes.imageContainer.setAttribute('role', 'button');
+      this.nodes.imageContainer.setAttribute(
+        'aria-label',
+        this.api.i18n.t('Open image viewer')
+      );
+      this.nodes.imageContainer.addEventListener('click', (e) => {
+        if (!e.target.closest('a')) {
+          this.openLightbox();
+        }
+      });
+      this.nodes.imageContainer.addEventListener('keydown', (e) => {
+        const isKey = e.key === 'Enter' || e.key === ' ';
+
+        if (isKey && e.target === this.nodes.imageContainer) {
+          e.preventDefault();
+          this.openLightbox();
+        }
+      });
+    }
+
+    this.nodes.progressTrack.appendChild(this.nodes.progressBar);
+    this.nodes.progress.appendChild(this.nodes.progressTrack);
+    this.nodes.progress.appendChild(this.nodes.cancelUploadButton);
 
     this.nodes.wrapper.appendChild(this.nodes.imagePreloader);
+    this.nodes.wrapper.appendChild(this.nodes.progress);
+
+    this.nodes.failure.appendChild(
+      make('span', null, {
+        textContent: this.api.i18n.t('Couldn’t upload image'),
+      })
+    );
+    this.nodes.failure.appendChild(this.nodes.retryButton);
+    this.nodes.failure.appendChild(this.nodes.failureCancelButton);
+    this.nodes.wrapper.appendChild(this.nodes.failure);
     this.nodes.wrapper.appendChild(this.nodes.imageContainer);
     this.nodes.wrapper.appendChild(this.nodes.alignContainer);
     this.nodes.alignContainer.appendChild(this.nodes.leftAlign);
     this.nodes.alignContainer.appendChild(this.nodes.centerAlign);
     this.nodes.alignContainer.appendChild(this.nodes.rightAlign);
+    this.nodes.alignContainer.appendChild(this.nodes.wrapButton);
+    this.nodes.alignContainer.appendChild(this.nodes.rotateLeftButton);
+    this.nodes.alignContainer.appendChild(this.nodes.rotateRightButton);
+    this.nodes.alignContainer.appendChild(this.nodes.rotation);
+    this.nodes.alignContainer.appendChild(this.nodes.flipHorizontalButton);
+    this.nodes.alignContainer.appendChild(this.nodes.flipVerticalButton);
     this.nodes.alignContainer.appendChild(this.nodes.imageWidth);
+    this.nodes.alignContainer.appendChild(this.nodes.widthUnitButton);
+    this.nodes.alignContainer.appendChild(this.nodes.ratioLockButton);
     this.nodes.alignContainer.appendChild(this.nodes.imageHeight);
     this.nodes.alignContainer.appendChild(this.nodes.setSizeButton);
     this.nodes.alignContainer.appendChild(this.nodes.undoResizeButton);
     this.nodes.alignContainer.appendChild(this.nodes.resizeModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.focalModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.cropModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.annotateModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.hotspotModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.redactModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.adjustModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.exportModeButton);
+    this.nodes.alignContainer.appendChild(this.nodes.replaceButton);
+    this.nodes.alignContainer.appendChild(this.nodes.altButton);
+    this.nodes.alignContainer.appendChild(this.nodes.undoButton);
+    this.nodes.alignContainer.appendChild(this.nodes.redoButton);
+
+    /**
+     * Alt text is editable only, readers get it as the image attribute
+     */
+    if (!this.readOnly) {
+      this.nodes.wrapper.appendChild(this.nodes.alt);
+    }
     this.nodes.wrapper.appendChild(this.nodes.caption);
     this.nodes.wrapper.appendChild(this.nodes.fileButton);
   }
@@ -115,19 +559,52 @@ export default class Ui {
        * Tool's classes
        */
       wrapper: 'image-tool',
+      wrapperLightbox: 'image-tool--lightbox',
+      wrapperRetry: 'image-tool--retry',
       imageContainer: 'image-tool__image',
       imagePreloader: 'image-tool__image-preloader',
+      progress: 'image-tool__progress',
+      progressTrack: 'image-tool__progress-track',
+      progressBar: 'image-tool__progress-bar',
+      cancelUploadButton: 'image-tool__progress-cancel',
+      failure: 'image-tool__failure',
+      retryButton: 'image-tool__failure-retry',
       imageEl: 'image-tool__image-picture',
+      picture: 'image-tool__picture',
       caption: 'image-tool__caption',
       setImage: 'image-tool__setImage',
+      setImageHeight: 'image-tool__setImage--height',
+      widthUnitButton: 'image-tool__widthUnitButton',
+      ratioLockButton: 'image-tool__ratioLockButton',
       alignContainer: 'image-tool__alignContainer',
       leftAlign: 'image-tool__leftAlign',
       centerAlign: 'image-tool__centerAlign',
       rightAlign: 'image-tool__rightAlign',
       alignButton: 'image-tool__alignButton',
+      wrapButton: 'image-tool__wrapButton',
+      floatHolder: 'image-tool-float',
       setSizeBtn: 'image-tool__setSizeBtn',
       resizeModeButton: 'image-tool__resizeModeButton',
+      focalModeButton: 'image-tool__focalModeButton',
+      focalMarker: 'image-tool__focal-marker',
       undoResizeButton: 'image-tool__undoResizeButton',
+      cropModeButton: 'image-tool__cropModeButton',
+      annotateModeButton: 'image-tool__annotateModeButton',
+      annotations: 'image-tool__annotations',
+      redactModeButton: 'image-tool__redactModeButton',
+      adjustModeButton: 'image-tool__adjustModeButton',
+      exportModeButton: 'image-tool__exportModeButton',
+      replaceButton: 'image-tool__replaceButton',
+      hotspotModeButton: 'image-tool__hotspotModeButton',
+      hotspots: 'image-tool__hotspots',
+      link: 'image-tool__link',
+      credit: 'image-tool__credit',
+      historyButton: 'image-tool__historyButton',
+      sharpenFilter: 'image-tool__sharpen-filter',
+      cropView: 'image-tool__crop',
+      rotationInput: 'image-tool__rotation',
+      altButton: 'image-tool__altButton',
+      altInput: 'image-tool__alt',
     };
   }
 
@@ -136,14 +613,16 @@ export default class Ui {
    * - empty
    * - uploading
    * - filled
+   * - failed: uploading failed, preview is kept until retry
    *
-   * @returns {{EMPTY: string, UPLOADING: string, FILLED: string}}
+   * @returns {{EMPTY: string, UPLOADING: string, FILLED: string, FAILED: string}}
    */
   static get status() {
     return {
       EMPTY: 'empty',
       UPLOADING: 'loading',
       FILLED: 'filled',
+      FAILED: 'failed',
     };
   }
 
@@ -194,6 +673,66 @@ export default class Ui {
     this.toggleStatus(Ui.status.UPLOADING);
   }
 
+  /**
+   * Shows uploading progress
+   *
+   * @param {number} percent - progress from 0 to 100
+   * @returns {void}
+   */
+  showProgress(percent) {
+    this.nodes.progressBar.style.width = `${percent}%`;
+  }
+
+  /**
+   * Creates button that cancels current uploading
+   *
+   * @returns {Element}
+   */
+  createCancelUploadButton() {
+    const button = make('button', [ this.CSS.cancelUploadButton ], {
+      type: 'button',
+    });
+
+    button.innerHTML = `${IconCross} ${this.api.i18n.t('Cancel')}`;
+
+    button.addEventListener('click', () => {
+      this.onCancelUpload();
+    });
+
+    return button;
+  }
+
+  /**
+   * Creates button that sends failed File or URL again
+   *
+   * @returns {Element}
+   */
+  createRetryButton() {
+    const button = make('button', [this.CSS.button, this.CSS.retryButton], {
+      type: 'button',
+      textContent: this.api.i18n.t('Retry'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleStatus(Ui.status.UPLOADING);
+      this.onRetryUpload();
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows failed uploading state: preview stays visible with the Retry and Cancel buttons.
+   * Filled block keeps showing its current image and gets the buttons next to it
+   *
+   * @param {boolean} [keepImage] - block has an image that the failed uploading had to replace
+   * @returns {void}
+   */
+  showUploadingError(keepImage = false) {
+    this.toggleStatus(keepImage ? Ui.status.FILLED : Ui.status.FAILED);
+    this.nodes.wrapper.classList.toggle(this.CSS.wrapperRetry, keepImage);
+  }
+
   /**
    * Hide uploading preloader
    *
@@ -208,9 +747,10 @@ export default class Ui {
    * Shows an image
    *
    * @param {string} url - image source
+   * @param {ImageVariant[]} [variants] - other sizes and formats of the image for srcset
    * @returns {void}
    */
-  fillImage(url) {
+  fillImage(url, variants) {
     /**
      * Check for a source extension to compose element correctly: video tag for mp4, img — for others
      */
@@ -251,12 +791,40 @@ export default class Ui {
       eventName = 'loadeddata';
     }
 
+    /**
+     * Remove previous image when it is replaced
+     */
+    if (this.nodes.imageEl) {
+      this.placedEl.remove();
+      this.mediaEl.remove();
+    }
+
     /**
      * Compose tag with defined attributes
      *
      * @type {Element}
      */
     this.nodes.imageEl = make(tag, this.CSS.imageEl, attributes);
+    this.nodes.picture = null;
+
+    /**
+     * Modern formats need <picture> sources, other variants go to the image srcset
+     */
+    if (tag === 'IMG') {
+      const { srcset, sources } = groupVariants(variants);
+
+      if (srcset) {
+        this.nodes.imageEl.srcset = srcset;
+      }
+
+      if (sources.length) {
+        this.nodes.picture = make('picture', this.CSS.picture);
+        sources.forEach((source) => {
+          this.nodes.picture.appendChild(make('source', null, source));
+        });
+        this.nodes.picture.appendChild(this.nodes.imageEl);
+      }
+    }
 
     /**
      * Add load event listener
@@ -270,9 +838,42 @@ export default class Ui {
       if (this.nodes.imagePreloader) {
         this.nodes.imagePreloader.style.backgroundImage = '';
       }
+
+      /**
+       * Rotated box depends on the rendered size, so it is known only after loading
+       */
+      this.applyTransform();
     });
 
-    this.nodes.imageContainer.appendChild(this.nodes.imageEl);
+    this.nodes.imageContainer.appendChild(this.mediaEl);
+    this.applyAlt();
+    this.applyAdjustments();
+    this.applyCrop();
+    this.applyLink();
+    this.applyCredit();
+  }
+
+  /**
+   * Shows gallery instead of the single image
+   *
+   * @param {GalleryItem[]} files - gallery images
+   * @param {string} layout - gallery layout
+   * @returns {void}
+   */
+  showGallery(files, layout) {
+    this.nodes.wrapper.insertBefore(
+      this.gallery.render(files, layout),
+      this.nodes.alignContainer
+    );
+  }
+
+  /**
+   * Removes gallery from the block
+   *
+   * @returns {void}
+   */
+  hideGallery() {
+    this.gallery.nodes.wrapper.remove();
   }
 
   /**
@@ -281,32 +882,72 @@ export default class Ui {
    * @param {object} imageEl - image element
    */
   makeImageResizable(imageEl) {
+    const containerWidth =
+      this.nodes.imageContainer.clientWidth || this.config.konvaWidth;
     var stage = new Konva.Stage({
       container: this.nodes.imageContainer,
-      width: 700,
-      height: 410,
+      width: containerWidth,
+      height: this.config.konvaHeight,
     });
 
     var layer = new Konva.Layer();
     stage.add(layer);
 
+    const { width, height, widthUnit, crop, transform } = this.state.get();
+    let konvaWidth = width || this.config.konvaWidth;
+    let konvaHeight = height || this.config.konvaHeight;
+
+    /**
+     * Percentage width is resized in pixels of the current container, height follows the image proportions
+     */
+    if (widthUnit === '%' && width && imageEl.naturalWidth) {
+      const cropRatio = crop ? crop.height / crop.width : 1;
+
+      konvaWidth = (containerWidth * width) / 100;
+      konvaHeight =
+        (konvaWidth * imageEl.naturalHeight * cropRatio) / imageEl.naturalWidth;
+    }
+
+    /**
+     * Rotate around the center, like CSS transform does
+     */
     var resizeImg = new Konva.Image({
-      Width: this.config.konvaWidth,
-      Height: this.config.konvaHeight,
+      width: konvaWidth,
+      height: konvaHeight,
+      x: konvaWidth / 2,
+      y: konvaHeight / 2,
+      offsetX: konvaWidth / 2,
+      offsetY: konvaHeight / 2,
+      rotation: transform.rotate,
     });
+
+    /**
+     * Resize only the visible part of the cropped image
+     */
+    if (crop) {
+      resizeImg.crop({
+        x: crop.x * imageEl.naturalWidth,
+        y: crop.y * imageEl.naturalHeight,
+        width: crop.width * imageEl.naturalWidth,
+        height: crop.height * imageEl.naturalHeight,
+      });
+    }
     resizeImg.image(imageEl);
     layer.add(resizeImg);
 
-    var MAX_WIDTH = 700;
-    var MAX_HEIGHT = 410;
-
+    /**
+     * Image can not be resized beyond the stage that follows the container size
+     */
     var tr = new Konva.Transformer({
-      rotateEnabled: false,
+      keepRatio: this.state.get().lockRatio,
+      rotateEnabled: true,
+      rotationSnaps: [0, 90, 180, 270],
+      flipEnabled: false,
       enabledAnchors: ['top-left', 'top-right', 'bottom-left', 'bottom-right'],
       boundBoxFunc: function (oldBoundBox, newBoundBox) {
         if (
-          Math.abs(newBoundBox.width) > MAX_WIDTH ||
-          Math.abs(newBoundBox.height) > MAX_HEIGHT
+          Math.abs(newBoundBox.width) > stage.width() ||
+          Math.abs(newBoundBox.height) > stage.height()
         ) {
           return oldBoundBox;
         }
@@ -319,10 +960,47 @@ export default class Ui {
       stage: stage,
       layer: layer,
       group: resizeImg,
+      transformer: tr,
+      observer: new ResizeObserver(() => this.fitResizeStage()),
     };
 
     layer.add(tr);
     tr.nodes([resizeImg]);
+    this.fitResizeStage();
+    this.konva.observer.observe(this.nodes.imageContainer);
+  }
+
+  /**
+   * Sizes resize stage to the image container: stage keeps proportions of the default Konva image size
+   * and is never lower than the image
+   *
+   * @returns {void}
+   */
+  fitResizeStage() {
+    const { stage, group } = this.konva;
+    const width = this.nodes.imageContainer.clientWidth;
+
+    if (!width) {
+      return;
+    }
+
+    stage.width(width);
+    stage.height(
+      Math.max(
+        Math.round((width * this.config.konvaHeight) / this.config.konvaWidth),
+        Math.ceil(group.height() * group.scaleY())
+      )
+    );
+  }
+
+  /**
+   * Removes resize stage when resize mode is finished
+   *
+   * @returns {void}
+   */
+  removeResizeStage() {
+    this.konva.observer.disconnect();
+    this.konva.stage.content.remove();
   }
 
   /**
@@ -374,30 +1052,38 @@ export default class Ui {
   }
 
   /**
+   * Toggle alignment: select passed one or reset it when it is already selected
    *
-   * @returns {boolean}
+   * @param {string} align - 'left', 'center' or 'right'
+   * @returns {void}
    */
-  isToggle(align) {
-    return !align;
+  onSelectAlign(align) {
+    const { alignment } = this.state.get();
+
+    this.state.set({ alignment: alignment === align ? '' : align });
+    this.applyAlign();
+    this.applySize();
   }
 
   /**
-   * Show preloader and upload image by target url
-   *
+   * Creates toggler of text wrapping around left or right aligned image
    *
-   * @returns {void}
+   * @returns {Element}
    */
-  onSelectAlign(align) {
-    this.config.isSelectedLeft =
-      align === 'left' ? this.isToggle(this.config.isSelectedLeft) : false;
-    this.config.isSelectedCenter =
-      align === 'center' ? this.isToggle(this.config.isSelectedCenter) : false;
-    this.config.isSelectedRight =
-      align === 'right' ? this.isToggle(this.config.isSelectedRight) : false;
-    this.applyTune('left', this.config.isSelectedLeft);
-    this.applyTune('center', this.config.isSelectedCenter);
-    this.applyTune('right', this.config.isSelectedRight);
-    this.applyAlign();
+  createWrapButton() {
+    const button = make('button', [this.CSS.wrapButton, this.CSS.alignButton], {
+      type: 'button',
+      innerHTML: wrapTextIcon,
+      title: this.api.i18n.t('Wrap text'),
+    });
+
+    button.addEventListener('click', () => {
+      this.state.set({ wrap: !this.state.get().wrap });
+      this.applyAlign();
+      this.applySize();
+    });
+
+    return button;
   }
 
   createInputWidth() {
@@ -464,107 +1150,1486 @@ export default class Ui {
    * @returns {Void}
    */
   onSetImageSize() {
-    this.config.imageWidth =
-      this.getImageWidth === '' ? 0 : Number(this.getImageWidth);
-    this.config.imageHeight =
-      this.getImageHeight === '' ? 0 : Number(this.getImageHeight);
-    if (this.getImageWidth.length !== 0) {
-      this.config.konvaWidth = Number(this.getImageWidth);
-    }
-    if (this.getImageHeight.length !== 0) {
-      this.config.konvaHeight = Number(this.getImageHeight);
-    }
+    let width = this.getImageWidth === '' ? 0 : Number(this.getImageWidth);
 
-    this.nodes.imageEl.style.width =
-      this.getImageWidth === '' ? '' : this.getImageWidth + 'px';
-    this.nodes.imageEl.style.height =
-      this.getImageHeight === '' ? '' : this.getImageHeight + 'px';
-  }
+    /**
+     * Percentage width is limited by the container, height follows the image proportions
+     */
+    if (this.state.get().widthUnit === '%') {
+      this.state.set({
+        width: Math.min(Math.max(width, 0), 100),
+        height: 0,
+      });
+    } else {
+      const { lockRatio } = this.state.get();
+      const ratio = this.naturalRatio;
+      let height = this.getImageHeight === '' ? 0 : Number(this.getImageHeight);
 
-  /**
-   * Create size set button
+      /**
+       * Locked ratio: the changed dimension wins, width wins when both are changed
+       */
+      if (lockRatio && ratio) {
+        if (width !== this.state.get().width || !height) {
+          height = width ? Math.round(width * ratio) : 0;
+        } else {
+          width = Math.round(height / ratio);
+        }
+      }
+
+      this.state.set({
+        width,
+        height,
+      });
+    }
+    this.applySize();
+  }
+
+  /**
+   * Height to width ratio of the visible part of the image, 0 until the image is loaded
+   *
+   * @returns {number}
+   */
+  get naturalRatio() {
+    const { imageEl } = this.nodes;
+
+    if (!imageEl || !imageEl.naturalWidth) {
+      return 0;
+    }
+
+    const { crop } = this.state.get();
+    const cropRatio = crop ? crop.height / crop.width : 1;
+
+    return (imageEl.naturalHeight * cropRatio) / imageEl.naturalWidth;
+  }
+
+  /**
+   * Recomputes the other size input while user types when the ratio is locked
+   *
+   * @param {string} changed - 'width' or 'height'
+   * @returns {void}
+   */
+  syncSizeInputs(changed) {
+    const { lockRatio, widthUnit } = this.state.get();
+    const ratio = this.naturalRatio;
+
+    if (!lockRatio || widthUnit === '%' || !ratio) {
+      return;
+    }
+
+    const { imageWidth, imageHeight } = this.nodes;
+    const value = Number(
+      (changed === 'width' ? imageWidth : imageHeight).textContent
+    );
+    const other = changed === 'width' ? imageHeight : imageWidth;
+
+    if (!value) {
+      other.textContent = '';
+
+      return;
+    }
+
+    other.textContent = String(
+      Math.round(changed === 'width' ? value * ratio : value / ratio)
+    );
+  }
+
+  /**
+   * Creates aspect-ratio lock toggler
+   *
+   * @returns {Element}
+   */
+  createRatioLockButton() {
+    const button = make('button', [ this.CSS.ratioLockButton ], {
+      type: 'button',
+      innerHTML: lockIcon,
+      title: this.api.i18n.t('Lock aspect ratio'),
+    });
+
+    button.addEventListener('click', () => {
+      this.state.set({ lockRatio: !this.state.get().lockRatio });
+      this.applyRatioLock();
+    });
+
+    return button;
+  }
+
+  /**
+   * Applies aspect-ratio lock from the block state to the toggler and the resize stage
+   *
+   * @returns {void}
+   */
+  applyRatioLock() {
+    const { lockRatio } = this.state.get();
+
+    this.applyTune('ratioLock-on', lockRatio);
+
+    if (this.konva.transformer) {
+      this.konva.transformer.keepRatio(lockRatio);
+    }
+  }
+
+  /**
+   * Creates button that switches width between pixels and percentage of the container
+   *
+   * @returns {Element}
+   */
+  createWidthUnitButton() {
+    const button = make('button', [ this.CSS.widthUnitButton ], {
+      type: 'button',
+      title: this.api.i18n.t('Width unit'),
+    });
+
+    button.addEventListener('click', () => {
+      this.onChangeWidthUnit(this.state.get().widthUnit === '%' ? 'px' : '%');
+    });
+
+    return button;
+  }
+
+  /**
+   * Switches width unit keeping the current rendered width
+   *
+   * @param {string} widthUnit - 'px' or '%'
+   * @returns {void}
+   */
+  onChangeWidthUnit(widthUnit) {
+    const { width } = this.state.get();
+    const containerWidth = this.nodes.imageContainer.clientWidth;
+    const renderedWidth = this.viewEl ? this.viewEl.offsetWidth : 0;
+    let newWidth = 0;
+
+    if (width && renderedWidth && containerWidth) {
+      newWidth =
+        widthUnit === '%'
+          ? Math.min(100, Math.round((renderedWidth / containerWidth) * 100))
+          : renderedWidth;
+    }
+
+    this.state.set({
+      widthUnit,
+      width: newWidth,
+      height: 0,
+    });
+    this.applySize();
+  }
+
+  /**
+   * Create size set button
+   *
+   * @returns {Element}
+   */
+  createSetSizeButton() {
+    const button = make('button', [this.CSS.setSizeBtn]);
+
+    button.innerHTML = `${this.api.i18n.t('Resize Image')}`;
+
+    button.addEventListener('click', () => {
+      this.onSetImageSize();
+    });
+
+    return button;
+  }
+
+  createUndoResizeButton() {
+    const button = make('button', [this.CSS.undoResizeButton]);
+
+    button.innerHTML = `${IconUndo}`;
+    button.disabled = true;
+
+    button.addEventListener('click', () => {
+      if (this.isResizeMode) {
+        this.isResizeMode = !this.isResizeMode;
+        this.applyTune('resizeMode-on', this.isResizeMode);
+        this.nodes.undoResizeButton.disabled = !this.isResizeMode;
+        this.nodes.setSizeButton.disabled = this.isResizeMode;
+        this.nodes.imageWidth.contentEditable = !this.isResizeMode;
+        this.nodes.imageHeight.contentEditable = !this.isResizeMode;
+        this.updateModeButtons();
+        this.removeResizeStage();
+        this.applySize();
+        this.nodes.imageContainer.appendChild(this.placedEl);
+      } else {
+        this.nodes.undoResizeButton.disabled = this.isResizeMode;
+        this.applyTune('resizeMode-on', this.isResizeMode);
+      }
+    });
+
+    return button;
+  }
+
+  /**
+   * Create size set button
+   *
+   * @returns {Element}
+   */
+  createResizeModeButton() {
+    const button = make('button', [this.CSS.resizeModeButton]);
+
+    button.innerHTML = `${IconReplace}`;
+
+    button.addEventListener('click', () => {
+      this.isResizeMode = !this.isResizeMode;
+      this.applyTune('resizeMode-on', this.isResizeMode);
+      this.nodes.setSizeButton.disabled = this.isResizeMode;
+      this.nodes.imageWidth.contentEditable = !this.isResizeMode;
+      this.nodes.imageHeight.contentEditable = !this.isResizeMode;
+      this.updateModeButtons();
+      if (this.isResizeMode) {
+        this.nodes.undoResizeButton.disabled = !this.isResizeMode;
+        this.makeImageResizable(this.nodes.imageEl);
+      } else {
+        this.nodes.undoResizeButton.disabled = !this.isResizeMode;
+
+        this.removeResizeStage();
+
+        const width = this.konva.group.width() * this.konva.group.scaleX();
+        const height = this.konva.group.height() * this.konva.group.scaleY();
+
+        if (this.state.get().widthUnit === '%') {
+          this.state.set({
+            width: Math.min(
+              100,
+              Math.round((width / this.konva.stage.width()) * 100)
+            ),
+            height: 0,
+          });
+        } else {
+          this.state.set({
+            width: Math.round(width),
+            height: Math.round(height),
+          });
+        }
+        this.applySize();
+        this.onTransform({ rotate: Math.round(this.konva.group.rotation()) });
+        this.nodes.imageContainer.appendChild(this.placedEl);
+      }
+    });
+
+    return button;
+  }
+
+  /**
+   * Creates focal point mode toggler
+   *
+   * @returns {Element}
+   */
+  createFocalModeButton() {
+    const button = make('button', [ this.CSS.focalModeButton ], {
+      type: 'button',
+      innerHTML: focalPointIcon,
+      title: this.api.i18n.t('Focal point'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleFocalMode(!this.isFocalMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Switches focal point mode: image clicks set the point, marker shows the current one
+   *
+   * @param {boolean} isOn - true to start picking the point
+   * @returns {void}
+   */
+  toggleFocalMode(isOn) {
+    if (!this.nodes.imageEl || this.nodes.imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isFocalMode = isOn;
+    this.applyTune('focalMode-on', this.isFocalMode);
+    this.updateModeButtons();
+
+    if (this.isFocalMode) {
+      this.nodes.imageContainer.appendChild(this.nodes.focalMarker);
+      this.applyFocalPoint();
+    } else {
+      this.nodes.focalMarker.remove();
+    }
+  }
+
+  /**
+   * Saves clicked point normalized to the whole image.
+   * Offset is measured in the image own coordinates, so crop, rotation and flipping are already taken into account
+   *
+   * @param {MouseEvent} e - click on the image
+   * @returns {void}
+   */
+  onSetFocalPoint(e) {
+    const { imageEl } = this.nodes;
+
+    if (!imageEl.offsetWidth || !imageEl.offsetHeight) {
+      return;
+    }
+
+    const normalize = (value) =>
+      Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+    this.state.set({
+      focalPoint: {
+        x: normalize(e.offsetX / imageEl.offsetWidth),
+        y: normalize(e.offsetY / imageEl.offsetHeight),
+      },
+    });
+    this.applyFocalPoint();
+  }
+
+  /**
+   * Applies focal point from the block state as object-position and moves the marker to it
+   *
+   * @returns {void}
+   */
+  applyFocalPoint() {
+    const { imageEl, focalMarker, imageContainer } = this.nodes;
+    const { focalPoint, transform } = this.state.get();
+
+    if (!imageEl || imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    /**
+     * Point is visible when the image is covered into explicit width and height
+     */
+    imageEl.style.objectPosition = focalPoint
+      ? `${focalPoint.x * 100}% ${focalPoint.y * 100}%`
+      : '';
+    imageEl.style.objectFit = focalPoint ? 'cover' : '';
+
+    if (!this.isFocalMode) {
+      return;
+    }
+
+    focalMarker.hidden = !focalPoint;
+
+    if (!focalPoint) {
+      return;
+    }
+
+    /**
+     * Marker is placed over the transformed image: shift from the image center is flipped and rotated like the image
+     */
+    const imageRect = imageEl.getBoundingClientRect();
+    const containerRect = imageContainer.getBoundingClientRect();
+    const radians = (transform.rotate * Math.PI) / 180;
+    const dx =
+      (focalPoint.x - 0.5) * imageEl.offsetWidth * (transform.flipX ? -1 : 1);
+    const dy =
+      (focalPoint.y - 0.5) * imageEl.offsetHeight * (transform.flipY ? -1 : 1);
+
+    focalMarker.style.left = `${
+      imageRect.left -
+      containerRect.left +
+      imageRect.width / 2 +
+      dx * Math.cos(radians) -
+      dy * Math.sin(radians)
+    }px`;
+    focalMarker.style.top = `${
+      imageRect.top -
+      containerRect.top +
+      imageRect.height / 2 +
+      dx * Math.sin(radians) +
+      dy * Math.cos(radians)
+    }px`;
+  }
+
+  /**
+   * Create crop mode toggler
+   *
+   * @returns {Element}
+   */
+  createCropModeButton() {
+    const button = make('button', [ this.CSS.cropModeButton ]);
+
+    button.innerHTML = cropIcon;
+    button.title = this.api.i18n.t('Crop');
+
+    button.addEventListener('click', () => {
+      this.toggleCropMode(!this.isCropMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Creates button that shows alternative text input
+   *
+   * @returns {Element}
+   */
+  createAltButton() {
+    const button = make('button', [ this.CSS.altButton ], {
+      type: 'button',
+      textContent: this.api.i18n.t('ALT'),
+      title: this.api.i18n.t('Alternative text'),
+    });
+
+    button.addEventListener('click', () => {
+      const isOn = !this.nodes.wrapper.classList.contains(
+        `${this.CSS.wrapper}--alt-on`
+      );
+
+      this.applyTune('alt-on', isOn);
+
+      if (isOn) {
+        this.nodes.alt.focus();
+      }
+    });
+
+    return button;
+  }
+
+  /**
+   * Applies alternative text from the block state to the image and the alt input
+   *
+   * @returns {void}
+   */
+  applyAlt() {
+    const alt = this.state.get().alt || '';
+
+    if (this.nodes.alt.textContent.trim() !== alt) {
+      this.nodes.alt.textContent = alt;
+    }
+
+    if (this.nodes.imageEl) {
+      const attribute =
+        this.nodes.imageEl.tagName === 'IMG' ? 'alt' : 'aria-label';
+
+      this.nodes.imageEl.setAttribute(attribute, alt);
+    }
+
+    if (alt) {
+      this.applyTune('alt-missing', false);
+    }
+  }
+
+  /**
+   * Highlights empty alt input when alternative text is required
+   *
+   * @returns {void}
+   */
+  showAltWarning() {
+    this.applyTune('alt-missing', true);
+    this.applyTune('alt-on', true);
+  }
+
+  /**
+   * Shows or hides crop stage
+   *
+   * @param {boolean} isOn - true to show crop stage
+   * @returns {void}
+   */
+  toggleCropMode(isOn) {
+    /**
+     * Only images can be cropped, not mp4 sources
+     */
+    if (!this.nodes.imageEl || this.nodes.imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isCropMode = isOn;
+    this.applyTune('cropMode-on', this.isCropMode);
+    this.updateModeButtons();
+
+    if (this.isCropMode) {
+      this.nodes.imageContainer.appendChild(
+        this.cropper.open(
+          this.nodes.imageEl,
+          this.state.get().crop,
+          this.nodes.imageContainer.clientWidth || 700
+        )
+      );
+    } else {
+      this.cropper.close();
+    }
+  }
+
+  /**
+   * Creates annotation mode toggler
+   *
+   * @returns {Element}
+   */
+  createAnnotateModeButton() {
+    const button = make('button', [ this.CSS.annotateModeButton ], {
+      type: 'button',
+      innerHTML: annotateIcon,
+      title: this.api.i18n.t('Annotate'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleAnnotateMode(!this.isAnnotateMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows or hides annotation stage
+   *
+   * @param {boolean} isOn - true to show annotation stage
+   * @returns {void}
+   */
+  toggleAnnotateMode(isOn) {
+    if (!this.nodes.imageEl || this.nodes.imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isAnnotateMode = isOn;
+    this.applyTune('annotateMode-on', this.isAnnotateMode);
+    this.updateModeButtons();
+
+    if (this.isAnnotateMode) {
+      this.nodes.imageContainer.appendChild(
+        this.annotator.open(
+          this.nodes.imageEl,
+          this.state.get().annotations,
+          this.nodes.imageContainer.clientWidth || 700
+        )
+      );
+    } else {
+      this.annotator.close();
+    }
+  }
+
+  /**
+   * Creates hotspot mode toggler
+   *
+   * @returns {Element}
+   */
+  createHotspotModeButton() {
+    const button = make('button', [ this.CSS.hotspotModeButton ], {
+      type: 'button',
+      innerHTML: hotspotIcon,
+      title: this.api.i18n.t('Hotspots'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleHotspotMode(!this.isHotspotMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows or hides hotspot stage
+   *
+   * @param {boolean} isOn - true to show hotspot stage
+   * @returns {void}
+   */
+  toggleHotspotMode(isOn) {
+    if (!this.nodes.imageEl || this.nodes.imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isHotspotMode = isOn;
+    this.applyTune('hotspotMode-on', this.isHotspotMode);
+    this.updateModeButtons();
+
+    if (this.isHotspotMode) {
+      this.nodes.imageContainer.appendChild(
+        this.mapper.open(
+          this.nodes.imageEl,
+          this.nodes.imageContainer.clientWidth || 700,
+          this.state.get().hotspots
+        )
+      );
+    } else {
+      this.mapper.close();
+    }
+  }
+
+  /**
+   * Saves hotspots drawn in hotspot mode and shows them over the image
+   *
+   * @param {ImageHotspot[]} hotspots - drawn hotspots with URLs
+   * @returns {void}
+   */
+  onMap(hotspots) {
+    this.state.set({ hotspots });
+    this.toggleHotspotMode(false);
+    this.applyCrop();
+  }
+
+  /**
+   * Creates redaction mode toggler
+   *
+   * @returns {Element}
+   */
+  createRedactModeButton() {
+    const button = make('button', [ this.CSS.redactModeButton ], {
+      type: 'button',
+      innerHTML: redactIcon,
+      title: this.api.i18n.t('Redact'),
+    });
+
+    button.addEventListener('click', () => {
+      if (this.isRedactMode) {
+        this.onRedact([]);
+      } else {
+        this.toggleRedactMode(true);
+      }
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows or hides redaction stage
+   *
+   * @param {boolean} isOn - true to show redaction stage
+   * @param {HTMLImageElement} [imageEl] - image to redact, the block image if omitted
+   * @returns {void}
+   */
+  toggleRedactMode(isOn, imageEl = this.nodes.imageEl) {
+    if (!imageEl || imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isRedactMode = isOn;
+    this.applyTune('redactMode-on', this.isRedactMode);
+    this.updateModeButtons();
+
+    if (this.isRedactMode) {
+      this.nodes.imageContainer.appendChild(
+        this.redactor.open(
+          imageEl,
+          this.nodes.imageContainer.clientWidth || 700
+        )
+      );
+    } else {
+      this.redactor.close();
+    }
+  }
+
+  /**
+   * Opens redaction mode for the local file that is not uploaded yet. The block image is not changed:
+   * the file is shown on the redaction stage only
+   *
+   * @param {File|Blob} file - selected, pasted or dropped file
+   * @returns {void}
+   */
+  redactBeforeUpload(file) {
+    const url = URL.createObjectURL(file);
+    const imageEl = make('img', null, { src: url });
+
+    if (this.isRedactMode) {
+      this.toggleRedactMode(false);
+    }
+
+    imageEl.addEventListener('load', () => {
+      URL.revokeObjectURL(url);
+      this.toggleStatus(Ui.status.FILLED);
+      this.toggleRedactMode(true, imageEl);
+    });
+
+    /**
+     * Files the browser can not decode are uploaded as is
+     */
+    imageEl.addEventListener('error', () => {
+      URL.revokeObjectURL(url);
+      this.onRedactImage([]);
+    });
+  }
+
+  /**
+   * Closes redaction mode and passes drawn regions to the Tool, that uploads the redacted copy
+   *
+   * @param {ImageRedaction[]} regions - regions to hide, empty when redaction is cancelled
+   * @returns {void}
+   */
+  onRedact(regions) {
+    this.toggleRedactMode(false);
+    this.onRedactImage(regions);
+  }
+
+  /**
+   * Creates adjustments panel toggler
+   *
+   * @returns {Element}
+   */
+  createAdjustModeButton() {
+    const button = make('button', [ this.CSS.adjustModeButton ], {
+      type: 'button',
+      innerHTML: adjustIcon,
+      title: this.api.i18n.t('Adjustments'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleAdjustMode(!this.isAdjustMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows or hides adjustments panel under the image, the image itself stays visible as the live preview
+   *
+   * @param {boolean} isOn - true to show adjustments panel
+   * @returns {void}
+   */
+  toggleAdjustMode(isOn) {
+    if (!this.nodes.imageEl || this.nodes.imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isAdjustMode = isOn;
+    this.applyTune('adjustMode-on', this.isAdjustMode);
+    this.updateModeButtons();
+
+    if (this.isAdjustMode) {
+      this.nodes.wrapper.insertBefore(
+        this.adjuster.open(this.state.get().adjustments),
+        this.nodes.alignContainer
+      );
+    } else {
+      this.adjuster.close();
+    }
+  }
+
+  /**
+   * Closes adjustments panel and asks the Tool to upload the adjusted copy
+   *
+   * @returns {void}
+   */
+  onBake() {
+    this.toggleAdjustMode(false);
+
+    if (Adjuster.isChanged(this.state.get().adjustments)) {
+      this.onBakeAdjustments();
+    }
+  }
+
+  /**
+   * Creates "Save as new image" panel toggler
+   *
+   * @returns {Element}
+   */
+  createExportModeButton() {
+    const button = make('button', [ this.CSS.exportModeButton ], {
+      type: 'button',
+      innerHTML: exportIcon,
+      title: this.api.i18n.t('Save as new image'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleExportMode(!this.isExportMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows or hides export panel under the image
+   *
+   * @param {boolean} isOn - true to show export panel
+   * @returns {void}
+   */
+  toggleExportMode(isOn) {
+    if (!this.nodes.imageEl || this.nodes.imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    this.isExportMode = isOn;
+    this.applyTune('exportMode-on', this.isExportMode);
+    this.updateModeButtons();
+
+    if (this.isExportMode) {
+      this.nodes.wrapper.insertBefore(
+        this.exporter.open(this.editedWidth),
+        this.nodes.alignContainer
+      );
+    } else {
+      this.exporter.close();
+    }
+  }
+
+  /**
+   * Full resolution width of the edited image: the box around the rotated crop area
+   *
+   * @returns {number}
+   */
+  get editedWidth() {
+    const { imageEl } = this.nodes;
+    const { crop, transform } = this.state.get();
+    const area = crop || WHOLE_IMAGE;
+    const width = imageEl.naturalWidth * area.width;
+    const height = imageEl.naturalHeight * area.height;
+    const radians = (transform.rotate * Math.PI) / 180;
+
+    return (
+      width * Math.abs(Math.cos(radians)) + height * Math.abs(Math.sin(radians))
+    );
+  }
+
+  /**
+   * Closes export panel and passes output settings to the Tool, that uploads the rendered image
+   *
+   * @param {ExportOptions} options - output size and format
+   * @returns {void}
+   */
+  onExport(options) {
+    this.toggleExportMode(false);
+    this.onExportImage(options);
+  }
+
+  /**
+   * Creates replace panel toggler
+   *
+   * @returns {Element}
+   */
+  createReplaceButton() {
+    const button = make('button', [ this.CSS.replaceButton ], {
+      type: 'button',
+      innerHTML: replaceIcon,
+      title: this.api.i18n.t('Replace image'),
+    });
+
+    button.addEventListener('click', () => {
+      this.toggleReplaceMode(!this.isReplaceMode);
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows or hides replace panel under the image
+   *
+   * @param {boolean} isOn - true to show replace panel
+   * @returns {void}
+   */
+  toggleReplaceMode(isOn) {
+    if (!this.nodes.imageEl) {
+      return;
+    }
+
+    this.isReplaceMode = isOn;
+    this.applyTune('replaceMode-on', this.isReplaceMode);
+    this.updateModeButtons();
+
+    if (this.isReplaceMode) {
+      this.nodes.wrapper.insertBefore(
+        this.replacer.open(),
+        this.nodes.alignContainer
+      );
+    } else {
+      this.replacer.close();
+    }
+  }
+
+  /**
+   * Closes replace panel and passes the new image source to the Tool
+   *
+   * @param {{file: (File|undefined), url: (string|undefined), keepSize: boolean}} source - new image and size option
+   * @returns {void}
+   */
+  onReplace(source) {
+    this.toggleReplaceMode(false);
+    this.onReplaceImage(source);
+  }
+
+  /**
+   * Shows or hides link panel under the image
+   *
+   * @param {boolean} isOn - true to show link panel
+   * @returns {void}
+   */
+  toggleLinkMode(isOn) {
+    if (!this.nodes.imageEl) {
+      return;
+    }
+
+    this.isLinkMode = isOn;
+    this.applyTune('linkMode-on', this.isLinkMode);
+    this.updateModeButtons();
+
+    if (this.isLinkMode) {
+      this.nodes.wrapper.insertBefore(
+        this.linker.open(this.state.get().link),
+        this.nodes.alignContainer
+      );
+    } else {
+      this.linker.close();
+    }
+  }
+
+  /**
+   * Closes link panel and saves the link
+   *
+   * @param {ImageLink|null} link - entered link, null to remove it
+   * @returns {void}
+   */
+  onLink(link) {
+    this.state.set({ link });
+    this.toggleLinkMode(false);
+    this.applyLink();
+    this.applyHotspots();
+  }
+
+  /**
+   * Shows or hides attribution panel under the image
+   *
+   * @param {boolean} isOn - true to show attribution panel
+   * @returns {void}
+   */
+  toggleMetaMode(isOn) {
+    if (!this.nodes.imageEl) {
+      return;
+    }
+
+    this.isMetaMode = isOn;
+    this.applyTune('metaMode-on', this.isMetaMode);
+    this.updateModeButtons();
+
+    if (this.isMetaMode) {
+      this.nodes.wrapper.insertBefore(
+        this.attributor.open(this.state.get().meta),
+        this.nodes.alignContainer
+      );
+    } else {
+      this.attributor.close();
+    }
+  }
+
+  /**
+   * Closes attribution panel and saves the entered values
+   *
+   * @param {ImageMeta} meta - credit, source and license
+   * @returns {void}
+   */
+  onMeta(meta) {
+    this.state.set({ meta });
+    this.toggleMetaMode(false);
+    this.applyCredit();
+  }
+
+  /**
+   * Renders credit line under the image for readers, when it is enabled by config
+   *
+   * @returns {void}
+   */
+  applyCredit() {
+    if (this.nodes.credit) {
+      this.nodes.credit.remove();
+      this.nodes.credit = null;
+    }
+
+    if (!this.readOnly || !this.config.creditLine) {
+      return;
+    }
+
+    this.nodes.credit = Attributor.render(this.state.get().meta, this.api);
+
+    if (this.nodes.credit) {
+      this.nodes.credit.classList.add(this.CSS.credit);
+      this.nodes.wrapper.insertBefore(this.nodes.credit, this.nodes.caption);
+    }
+  }
+
+  /**
+   * Wraps the image with the block link for readers. In the editor clicks on the image edit it,
+   * so the link is not rendered. Hotspot links can not be nested, the block link is rendered with them then
+   *
+   * @returns {void}
+   */
+  applyLink() {
+    const { link, hotspots } = this.state.get();
+    const { imageContainer } = this.nodes;
+    const isWrapped = this.readOnly && link && !hotspots.length;
+
+    if (!isWrapped) {
+      if (this.nodes.link) {
+        this.nodes.link.replaceWith(imageContainer);
+        this.nodes.link = null;
+      }
+
+      return;
+    }
+
+    if (!this.nodes.link) {
+      this.nodes.link = make('a', this.CSS.link);
+      imageContainer.replaceWith(this.nodes.link);
+      this.nodes.link.appendChild(imageContainer);
+    }
+
+    Object.entries(Linker.attributes(link)).forEach(([name, value]) => {
+      if (value) {
+        this.nodes.link.setAttribute(name, value);
+      } else {
+        this.nodes.link.removeAttribute(name);
+      }
+    });
+  }
+
+  /**
+   * Image shown in the lightbox, with the edits applied in the block
+   *
+   * @returns {LightboxSlide|null} null when there is no image to show
+   */
+  get lightboxSlide() {
+    const { imageEl } = this.nodes;
+    const { file, caption, alt, crop, transform, annotations, gallery } =
+      this.state.get();
+
+    if (!imageEl || imageEl.tagName !== 'IMG' || !file.url || gallery) {
+      return null;
+    }
+
+    return {
+      url: file.url,
+      alt,
+      caption,
+      crop,
+      transform,
+      annotations,
+      filter: imageEl.style.filter,
+    };
+  }
+
+  /**
+   * Opens the lightbox with the block image
+   *
+   * @returns {void}
+   */
+  openLightbox() {
+    if (this.lightboxSlide) {
+      Lightbox.open(this.lightboxSource, this.api);
+    }
+  }
+
+  /**
+   * Creates Undo or Redo button, disabled until there is a state to return to
    *
+   * @param {string} icon - button icon
+   * @param {string} title - button title, will be translated
+   * @param {Function} onClick - click handler
    * @returns {Element}
    */
-  createSetSizeButton() {
-    const button = make('button', [this.CSS.setSizeBtn]);
+  createHistoryButton(icon, title, onClick) {
+    const button = make('button', [ this.CSS.historyButton ], {
+      type: 'button',
+      innerHTML: icon,
+      title: this.api.i18n.t(title),
+      disabled: true,
+    });
 
-    button.innerHTML = `${this.api.i18n.t('Resize Image')}`;
+    button.addEventListener('click', onClick);
 
-    button.addEventListener('click', () => {
-      this.onSetImageSize();
+    return button;
+  }
+
+  /**
+   * Enables history buttons that have a state to go to
+   *
+   * @param {boolean} canUndo - whether there is a previous state
+   * @param {boolean} canRedo - whether there is an undone state
+   * @returns {void}
+   */
+  applyHistory(canUndo, canRedo) {
+    this.nodes.undoButton.disabled = !canUndo;
+    this.nodes.redoButton.disabled = !canRedo;
+  }
+
+  /**
+   * Handles Ctrl+Z and Ctrl+Shift+Z inside the block. Caption, alt text and inputs keep the browser text undo
+   *
+   * @param {KeyboardEvent} e - keydown event
+   * @returns {void}
+   */
+  onHistoryKeydown(e) {
+    const target = e.target;
+    const isText =
+      target.isContentEditable ||
+      ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || isText) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.shiftKey) {
+      this.onRedo();
+    } else {
+      this.onUndo();
+    }
+  }
+
+  /**
+   * Disables toolbar mode buttons while any edit mode or panel is open, so modes do not overlap.
+   * Button of the open mode stays enabled to close it
+   *
+   * @returns {void}
+   */
+  updateModeButtons() {
+    const buttons = {
+      resizeModeButton: this.isResizeMode,
+      focalModeButton: this.isFocalMode,
+      cropModeButton: this.isCropMode,
+      annotateModeButton: this.isAnnotateMode,
+      hotspotModeButton: this.isHotspotMode,
+      redactModeButton: this.isRedactMode,
+      adjustModeButton: this.isAdjustMode,
+      exportModeButton: this.isExportMode,
+      replaceButton: this.isReplaceMode,
+    };
+    const isEditing = this.isEditing;
+
+    Object.entries(buttons).forEach(([name, isOpen]) => {
+      this.nodes[name].disabled = isEditing && !isOpen;
     });
+  }
 
-    return button;
+  /**
+   * Whether any edit mode or panel is open. Its stage or controls show the current state,
+   * so the history is not applied until it is closed
+   *
+   * @returns {boolean}
+   */
+  get isEditing() {
+    return [
+      this.isResizeMode,
+      this.isCropMode,
+      this.isFocalMode,
+      this.isAnnotateMode,
+      this.isRedactMode,
+      this.isAdjustMode,
+      this.isExportMode,
+      this.isReplaceMode,
+      this.isHotspotMode,
+      this.isLinkMode,
+      this.isMetaMode,
+    ].some(Boolean);
   }
 
-  createUndoResizeButton() {
-    const button = make('button', [this.CSS.undoResizeButton]);
+  /**
+   * Shows the whole block state again, used when it is changed outside of the Ui, e.g. by undo
+   *
+   * @returns {void}
+   */
+  applyState() {
+    this.applyAlign();
+    this.applyRatioLock();
+    this.applyCrop();
+    this.applyTransform();
+    this.applyFocalPoint();
+    this.applyAdjustments();
+    this.applyLink();
+    this.applyCredit();
+  }
 
-    button.innerHTML = `${IconUndo}`;
-    button.disabled = true;
+  /**
+   * Previews adjustments with CSS filters. Sharpening has no CSS function,
+   * so it is done by an SVG convolution filter referenced from the CSS filter
+   *
+   * @returns {void}
+   */
+  applyAdjustments() {
+    const { adjustments } = this.state.get();
 
-    button.addEventListener('click', () => {
-      if (this.config.isChangeResizeMode) {
-        this.config.isChangeResizeMode = !this.config.isChangeResizeMode;
-        this.applyTune('resizeMode-on', this.config.isChangeResizeMode);
-        this.nodes.undoResizeButton.disabled = !this.config.isChangeResizeMode;
-        this.nodes.setSizeButton.disabled = this.config.isChangeResizeMode;
-        this.nodes.imageWidth.contentEditable = !this.config.isChangeResizeMode;
-        this.nodes.imageHeight.contentEditable =
-          !this.config.isChangeResizeMode;
-        this.konva.stage.content.remove();
-        this.nodes.imageEl.style.cssText = ``;
-        this.nodes.imageContainer.appendChild(this.nodes.imageEl);
-      } else {
-        this.nodes.undoResizeButton.disabled = this.config.isChangeResizeMode;
-        this.applyTune('resizeMode-on', this.config.isChangeResizeMode);
-      }
+    if (!this.nodes.imageEl) {
+      return;
+    }
+
+    const filters = [ Adjuster.toCssFilter(adjustments) ];
+
+    if (adjustments.sharpen > 0) {
+      filters.push(`url(#${this.applySharpenFilter(adjustments.sharpen)})`);
+    }
+
+    this.nodes.imageEl.style.filter = filters.join(' ').trim();
+  }
+
+  /**
+   * Creates or updates the SVG sharpen filter of the block
+   *
+   * @param {number} amount - sharpen amount from 0 to 100
+   * @returns {string} filter id
+   */
+  applySharpenFilter(amount) {
+    if (!this.nodes.sharpenFilter) {
+      sharpenFilterIndex++;
+      this.nodes.sharpenFilter = make('div', this.CSS.sharpenFilter, {
+        innerHTML: `<svg width="0" height="0" aria-hidden="true"><filter id="image-tool-sharpen-${sharpenFilterIndex}"><feConvolveMatrix order="3" preserveAlpha="true" /></filter></svg>`,
+      });
+      this.nodes.wrapper.appendChild(this.nodes.sharpenFilter);
+    }
+
+    const filter = this.nodes.sharpenFilter.querySelector('filter');
+
+    filter.firstChild.setAttribute(
+      'kernelMatrix',
+      sharpenKernel(amount).join(' ')
+    );
+
+    return filter.id;
+  }
+
+  /**
+   * Saves shapes drawn in annotation mode and shows them over the image
+   *
+   * @param {ImageAnnotation[]} annotations - drawn shapes
+   * @returns {void}
+   */
+  onAnnotate(annotations) {
+    this.state.set({ annotations });
+    this.toggleAnnotateMode(false);
+    this.applyCrop();
+  }
+
+  /**
+   * Renders saved shapes as SVG over the image. Image is wrapped with the crop view,
+   * so the shapes are moved, rotated and flipped together with it
+   *
+   * @returns {void}
+   */
+  applyAnnotations() {
+    const { imageEl, cropView } = this.nodes;
+    const { annotations } = this.state.get();
+
+    if (this.nodes.annotations) {
+      this.nodes.annotations.remove();
+      this.nodes.annotations = null;
+    }
+
+    if (!annotations.length || this.viewEl !== cropView) {
+      return;
+    }
+
+    this.nodes.annotations = Annotator.render(
+      annotations,
+      imageEl.naturalHeight / imageEl.naturalWidth
+    );
+    this.nodes.annotations.classList.add(this.CSS.annotations);
+    ['left', 'top', 'width', 'height'].forEach((property) => {
+      this.nodes.annotations.style[property] = imageEl.style[property];
     });
+    cropView.appendChild(this.nodes.annotations);
+  }
 
-    return button;
+  /**
+   * Renders hotspots as SVG over the image like annotations: links for readers, outlines in the editor
+   *
+   * @returns {void}
+   */
+  applyHotspots() {
+    const { imageEl, cropView } = this.nodes;
+    const { hotspots, link } = this.state.get();
+
+    if (this.nodes.hotspots) {
+      this.nodes.hotspots.remove();
+      this.nodes.hotspots = null;
+    }
+
+    if (!hotspots.length || this.viewEl !== cropView) {
+      return;
+    }
+
+    this.nodes.hotspots = Mapper.render(hotspots, {
+      links: this.readOnly,
+      link,
+    });
+    this.nodes.hotspots.classList.add(this.CSS.hotspots);
+    ['left', 'top', 'width', 'height'].forEach((property) => {
+      this.nodes.hotspots.style[property] = imageEl.style[property];
+    });
+    cropView.appendChild(this.nodes.hotspots);
   }
 
   /**
-   * Create size set button
+   * Saves crop selected in crop mode and shows cropped image
+   *
+   * @param {ImageCrop|null} crop - selected crop, null to show the whole image
+   * @returns {void}
+   */
+  onCrop(crop) {
+    this.state.set({ crop });
+    this.toggleCropMode(false);
+    this.applyCrop();
+  }
+
+  /**
+   * Create button that changes rotation or flipping
    *
+   * @param {string} icon - button icon
+   * @param {string} title - button title, will be translated
+   * @param {function(ImageTransform): object} getChanges - returns transform changes based on the current one
    * @returns {Element}
    */
-  createResizeModeButton() {
-    const button = make('button', [this.CSS.resizeModeButton]);
+  createTransformButton(icon, title, getChanges) {
+    const button = make('button', [ this.CSS.alignButton ]);
 
-    button.innerHTML = `${IconReplace}`;
+    button.innerHTML = icon;
+    button.title = this.api.i18n.t(title);
 
     button.addEventListener('click', () => {
-      this.config.isChangeResizeMode = !this.config.isChangeResizeMode;
-      this.applyTune('resizeMode-on', this.config.isChangeResizeMode);
-      this.nodes.setSizeButton.disabled = this.config.isChangeResizeMode;
-      this.nodes.imageWidth.contentEditable = !this.config.isChangeResizeMode;
-      this.nodes.imageHeight.contentEditable = !this.config.isChangeResizeMode;
-      if (this.config.isChangeResizeMode) {
-        this.nodes.undoResizeButton.disabled = !this.config.isChangeResizeMode;
-        this.makeImageResizable(this.nodes.imageEl);
-      } else {
-        this.nodes.undoResizeButton.disabled = !this.config.isChangeResizeMode;
-
-        this.konva.stage.content.remove();
-        this.config.konvaWidth =
-          this.konva.group.parent.children[1].children[0].attrs.width;
-        this.config.konvaHeight =
-          this.konva.group.parent.children[1].children[0].attrs.height;
-        this.nodes.imageEl.style.cssText = `width:${this.config.konvaWidth}px;height:${this.config.konvaHeight}px;`;
-        this.nodes.imageContainer.appendChild(this.nodes.imageEl);
-
-        this.nodes.imageWidth.innerText = parseInt(this.config.konvaWidth);
-        this.nodes.imageHeight.innerText = parseInt(this.config.konvaHeight);
-        this.config.imageWidth = parseInt(this.config.konvaWidth);
-        this.config.imageHeight = parseInt(this.config.konvaHeight);
-      }
+      this.onTransform(getChanges(this.state.get().transform));
     });
 
     return button;
   }
 
+  /**
+   * Merges changes into the block transform and shows the result
+   *
+   * @param {object} changes - some of {@link ImageTransform} properties
+   * @returns {void}
+   */
+  onTransform(changes) {
+    const transform = Object.assign({}, this.state.get().transform, changes);
+
+    /**
+     * Keep the angle in [0, 360) range
+     */
+    transform.rotate = ((transform.rotate % 360) + 360) % 360;
+
+    this.state.set({ transform });
+    this.applyTransform();
+    this.applyFocalPoint();
+  }
+
+  /**
+   * Rotates and flips the image with CSS transform according to the block state
+   *
+   * @returns {void}
+   */
+  applyTransform() {
+    const { imageEl, cropView, rotation } = this.nodes;
+    const { rotate, flipX, flipY } = this.state.get().transform;
+
+    rotation.textContent = rotate ? String(rotate) : '';
+
+    if (!imageEl) {
+      return;
+    }
+
+    /**
+     * Crop view may have been added or removed: reset both elements first
+     */
+    [imageEl, cropView].forEach((el) => {
+      el.style.transform = '';
+      el.style.marginTop = '';
+      el.style.marginBottom = '';
+    });
+
+    const view = this.viewEl;
+    const transforms = [];
+
+    if (rotate) {
+      transforms.push(`rotate(${rotate}deg)`);
+    }
+    if (flipX || flipY) {
+      transforms.push(`scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1})`);
+    }
+
+    view.style.transform = transforms.join(' ');
+
+    /**
+     * Transform does not affect layout: reserve vertical space for the rotated box
+     */
+    if (rotate && view.offsetHeight) {
+      const radians = (rotate * Math.PI) / 180;
+      const boxHeight =
+        Math.abs(view.offsetWidth * Math.sin(radians)) +
+        Math.abs(view.offsetHeight * Math.cos(radians));
+      const margin = (boxHeight - view.offsetHeight) / 2;
+
+      view.style.marginTop = `${margin}px`;
+      view.style.marginBottom = `${margin}px`;
+    }
+  }
+
+  /**
+   * Element that shows the image: crop view for cropped images, image itself otherwise
+   *
+   * @returns {Element}
+   */
+  get viewEl() {
+    const { imageEl, cropView } = this.nodes;
+
+    return imageEl && this.mediaEl.parentNode === cropView ? cropView : imageEl;
+  }
+
+  /**
+   * Image with its <picture> wrapper when there are sources of modern formats
+   *
+   * @returns {Element}
+   */
+  get mediaEl() {
+    return this.nodes.picture || this.nodes.imageEl;
+  }
+
+  /**
+   * Element placed into the image container: crop view for cropped images, image with its wrapper otherwise
+   *
+   * @returns {Element}
+   */
+  get placedEl() {
+    return this.viewEl === this.nodes.cropView
+      ? this.nodes.cropView
+      : this.mediaEl;
+  }
+
+  /**
+   * Shows only the cropped part of the image stored in the block state.
+   * Image is placed inside the crop view and shifted so the crop area fills it
+   *
+   * @returns {void}
+   */
+  applyCrop() {
+    const { imageEl, cropView, imageContainer } = this.nodes;
+    const { annotations, hotspots } = this.state.get();
+
+    /**
+     * Annotated image and image with hotspots are wrapped too, so the shapes follow it
+     */
+    const crop =
+      this.state.get().crop ||
+      (annotations.length || hotspots.length ? WHOLE_IMAGE : null);
+
+    if (!imageEl || imageEl.tagName !== 'IMG') {
+      return;
+    }
+
+    if (!crop) {
+      if (this.viewEl === cropView) {
+        imageContainer.replaceChild(this.mediaEl, cropView);
+      }
+      imageEl.style.left = '';
+      imageEl.style.top = '';
+      this.applySize();
+      this.applyAnnotations();
+      this.applyHotspots();
+
+      return;
+    }
+
+    /**
+     * Crop view proportions depend on the natural size, so wait for the image to load
+     */
+    if (!imageEl.naturalWidth) {
+      imageEl.addEventListener('load', () => this.applyCrop(), { once: true });
+
+      return;
+    }
+
+    if (this.viewEl !== cropView) {
+      imageContainer.insertBefore(cropView, this.mediaEl);
+      cropView.appendChild(this.mediaEl);
+    }
+
+    cropView.style.aspectRatio = `${crop.width * imageEl.naturalWidth} / ${
+      crop.height * imageEl.naturalHeight
+    }`;
+    imageEl.style.left = `${(-crop.x / crop.width) * 100}%`;
+    imageEl.style.top = `${(-crop.y / crop.height) * 100}%`;
+    imageEl.style.width = `${100 / crop.width}%`;
+    imageEl.style.height = `${100 / crop.height}%`;
+    this.applySize();
+    this.applyAnnotations();
+    this.applyHotspots();
+  }
+
   /**
    * Shows caption input
    *
@@ -577,6 +2642,107 @@ export default class Ui {
     }
   }
 
+  /**
+   * Applies image size from the block state: sets it to the image and fills width/height inputs
+   *
+   * @returns {void}
+   */
+  applySize() {
+    const { width, height, widthUnit } = this.state.get();
+    const isPercent = widthUnit === '%';
+
+    this.nodes.imageWidth.textContent = width ? String(width) : '';
+    this.nodes.imageHeight.textContent = height ? String(height) : '';
+    this.nodes.imageWidth.dataset.placeholder = isPercent
+      ? this.api.i18n.t('width (%)')
+      : this.config.widthPlaceholder;
+    this.nodes.widthUnitButton.textContent = isPercent ? '%' : 'px';
+    this.applyTune('widthUnit-percent', isPercent);
+
+    if (!this.nodes.imageEl) {
+      return;
+    }
+
+    /**
+     * Cropped image is sized by its crop view that defaults to the natural size of the crop area
+     */
+    if (this.viewEl === this.nodes.cropView) {
+      const crop = this.state.get().crop || WHOLE_IMAGE;
+      const naturalWidth = crop.width * this.nodes.imageEl.naturalWidth;
+      const naturalHeight = crop.height * this.nodes.imageEl.naturalHeight;
+
+      /**
+       * Percentage crop view keeps its proportions with aspect-ratio
+       */
+      if (isPercent && width) {
+        this.nodes.cropView.style.width = (this.floatSide ? 100 : width) + '%';
+        this.nodes.cropView.style.height = '';
+        this.applySizes(width / crop.width, '%');
+      } else {
+        const viewWidth =
+          width ||
+          (height ? (height * naturalWidth) / naturalHeight : 0) ||
+          naturalWidth;
+
+        this.nodes.cropView.style.width = viewWidth + 'px';
+        this.nodes.cropView.style.height = height ? height + 'px' : '';
+        this.applySizes(viewWidth / crop.width);
+      }
+    } else if (isPercent) {
+      /**
+       * Floating block is already sized by the percentage width, so the image fills it
+       */
+      this.nodes.imageEl.style.width = width
+        ? (this.floatSide ? 100 : width) + '%'
+        : '';
+      this.nodes.imageEl.style.height = '';
+      this.applySizes(width, '%');
+    } else {
+      const { naturalWidth, naturalHeight } = this.nodes.imageEl;
+
+      this.nodes.imageEl.style.width = width ? width + 'px' : '';
+      this.nodes.imageEl.style.height = height ? height + 'px' : '';
+      this.applySizes(
+        width ||
+          (height && naturalHeight
+            ? (height * naturalWidth) / naturalHeight
+            : 0)
+      );
+    }
+
+    this.applyFloat();
+    this.applyTransform();
+    this.applyFocalPoint();
+  }
+
+  /**
+   * Tells browser which srcset variant fits the display width
+   *
+   * @param {number} displayWidth - rendered image width, 0 when image takes the available width
+   * @param {string} [unit] - 'px' or '%' of the container, percentage is approximated with viewport width
+   * @returns {void}
+   */
+  applySizes(displayWidth, unit = 'px') {
+    const width = Math.round(displayWidth);
+    let sizes = '100vw';
+
+    if (width && unit === '%') {
+      sizes = `${width}vw`;
+    } else if (width) {
+      sizes = `(max-width: ${width}px) 100vw, ${width}px`;
+    }
+
+    const elements = this.nodes.picture
+      ? Array.from(this.nodes.picture.children)
+      : [ this.nodes.imageEl ];
+
+    elements
+      .filter((el) => el.srcset)
+      .forEach((el) => {
+        el.sizes = sizes;
+      });
+  }
+
   /**
    * Changes UI status
    *
@@ -584,6 +2750,8 @@ export default class Ui {
    * @returns {void}
    */
   toggleStatus(status) {
+    this.nodes.wrapper.classList.remove(this.CSS.wrapperRetry);
+
     for (const statusType in Ui.status) {
       if (Object.prototype.hasOwnProperty.call(Ui.status, statusType)) {
         this.nodes.wrapper.classList.toggle(
@@ -609,24 +2777,89 @@ export default class Ui {
   }
 
   /**
-   * Apply visual representation of activated tune
-   *
-   *  - one of available tunes {@link Tunes.tunes}
+   * Apply visual representation of the alignment stored in the block state:
+   * wrapper modifier and highlighted align button
    *
    * @returns {void}
    */
   applyAlign() {
-    this.nodes.leftAlign.classList.toggle(
-      'image-tool__align-selected',
-      this.config.isSelectedLeft
-    );
-    this.nodes.centerAlign.classList.toggle(
-      'image-tool__align-selected',
-      this.config.isSelectedCenter
-    );
-    this.nodes.rightAlign.classList.toggle(
+    const { alignment } = this.state.get();
+    const buttons = {
+      left: this.nodes.leftAlign,
+      center: this.nodes.centerAlign,
+      right: this.nodes.rightAlign,
+    };
+
+    Object.entries(buttons).forEach(([align, button]) => {
+      this.applyTune(align, alignment === align);
+      button.classList.toggle(
+        'image-tool__align-selected',
+        alignment === align
+      );
+    });
+
+    this.applyFloat();
+  }
+
+  /**
+   * Side the image floats to: 'left', 'right' or empty string when text does not wrap it
+   *
+   * @returns {string}
+   */
+  get floatSide() {
+    const { alignment, wrap } = this.state.get();
+
+    return wrap && (alignment === 'left' || alignment === 'right')
+      ? alignment
+      : '';
+  }
+
+  /**
+   * Floats left or right aligned image so the next blocks wrap around it.
+   * Float is applied to the Editor.js block element, because the wrapping text lives in the sibling blocks
+   *
+   * @returns {void}
+   */
+  applyFloat() {
+    const { wrap, width, widthUnit } = this.state.get();
+    const side = this.floatSide;
+    let floatWidth = 'calc(min(100%, var(--image-tool-column, 650px)) / 2)';
+
+    if (width && widthUnit === '%') {
+      floatWidth = `calc(min(100%, var(--image-tool-column, 650px)) * ${
+        width / 100
+      })`;
+    } else if (width) {
+      floatWidth = `${width}px`;
+    }
+
+    this.applyTune('float', Boolean(side));
+    this.nodes.wrapButton.classList.toggle(
       'image-tool__align-selected',
-      this.config.isSelectedRight
+      Boolean(wrap)
     );
+
+    /**
+     * Block element is composed after the tool is created
+     */
+    Promise.resolve().then(() => {
+      const holder = this.getBlockHolder();
+
+      if (!holder) {
+        return;
+      }
+
+      ['left', 'right'].forEach((name) => {
+        holder.classList.toggle(
+          `${this.CSS.floatHolder}--${name}`,
+          side === name
+        );
+      });
+      holder.style.setProperty('--image-tool-float-width', floatWidth);
+      holder.style.setProperty(
+        '--image-tool-gutter',
+        `${this.config.floatGutter}px`
+      );
+    });
   }
 }
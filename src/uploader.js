@@ -1,5 +1,18 @@
 import ajax from '@codexteam/ajax';
 import isPromise from './utils/isPromise';
+import compressImage from './utils/compressImage';
+import { readExif, stripPrivateTags } from './utils/exif';
+import orientImage from './utils/orientImage';
+import request from './utils/request';
+import Queue from './utils/queue';
+
+/**
+ * Requests of all image blocks on the page share one queue, so big batches do not flood the endpoint.
+ * Created by the first uploader, so its concurrency comes from the config of the first block
+ *
+ * @type {Queue|null}
+ */
+let uploadQueue = null;
 
 /**
  * Module for file uploading. Handle 3 scenarios:
@@ -13,86 +26,163 @@ export default class Uploader {
    * @param {ImageConfig} params.config - image tool config
    * @param {Function} params.onUpload - one callback for all uploading (file, url, d-n-d, pasting)
    * @param {Function} params.onError - callback for uploading errors
+   * @param {function(number): void} params.onProgress - callback for uploading progress from 0 to 100
    */
-  constructor({ config, onUpload, onError }) {
+  constructor({ config, onUpload, onError, onProgress }) {
     this.config = config;
     this.onUpload = onUpload;
     this.onError = onError;
-  }
+    this.onProgress = onProgress;
 
-  /**
-   * Handle clicks on the upload file button
-   * Fires ajax.transport()
-   *
-   * @param {Function} onPreview - callback fired when preview is ready
-   */
-  uploadSelectedFile({ onPreview }) {
-    const preparePreview = function (file) {
-      const reader = new FileReader();
-
-      reader.readAsDataURL(file);
-      reader.onload = (e) => {
-        onPreview(e.target.result);
-      };
-    };
+    if (!uploadQueue) {
+      uploadQueue = new Queue(this.config.concurrency);
+    }
 
     /**
-     * Custom uploading
-     * or default uploading
+     * Controller of the current uploading, used to cancel it
+     *
+     * @type {AbortController|null}
      */
-    let upload;
+    this.controller = null;
 
-    // custom uploading
-    if (
-      this.config.uploader &&
-      typeof this.config.uploader.uploadByFile === 'function'
-    ) {
-      upload = ajax.selectFiles({ accept: this.config.types }).then((files) => {
-        preparePreview(files[0]);
+    /**
+     * Repeats the last uploading with the same File or URL
+     *
+     * @type {Function|null}
+     */
+    this.lastUpload = null;
+  }
 
-        const customUpload = this.config.uploader.uploadByFile(files[0]);
+  /**
+   * Uploads the last File or URL again, used after uploading has failed
+   *
+   * @returns {void}
+   */
+  retry() {
+    if (this.lastUpload) {
+      this.lastUpload();
+    }
+  }
 
-        if (!isPromise(customUpload)) {
-          console.warn(
-            'Custom uploader method uploadByFile should return a Promise'
-          );
-        }
+  /**
+   * Aborts current uploading. Cancelled uploading fires neither onUpload nor onError
+   *
+   * @returns {void}
+   */
+  cancel() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
 
-        return customUpload;
-      });
+  /**
+   * Prepares new uploading: cancels previous one and resets progress
+   *
+   * @returns {AbortController}
+   */
+  startUploading() {
+    this.cancel();
+    this.controller = new AbortController();
+    this.onProgress(0);
 
-      // default uploading
-    } else {
-      upload = ajax
-        .transport({
-          url: this.config.endpoints.byFile,
-          data: this.config.additionalRequestData,
-          accept: this.config.types,
-          headers: this.config.additionalRequestHeaders,
-          beforeSend: (files) => {
-            preparePreview(files[0]);
-          },
-          fieldName: this.config.field,
-        })
-        .then((response) => response.body);
-    }
+    return this.controller;
+  }
 
+  /**
+   * Passes uploading result to the callbacks unless uploading was cancelled
+   *
+   * @param {Promise<UploadResponseFormat>} upload - uploading promise
+   * @param {AbortController} controller - controller of this uploading
+   * @returns {void}
+   */
+  handleUploading(upload, controller) {
     upload
       .then((response) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        this.controller = null;
         this.onUpload(response);
       })
       .catch((error) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        this.controller = null;
         this.onError(error);
       });
   }
 
   /**
    * Handle clicks on the upload file button
-   * Fires ajax.post()
+   * Fires ajax.selectFiles() and uploads the first selected file the same way as pasted one,
+   * so it passes client-side preprocessing too
+   *
+   * @param {Function} onPreview - callback fired when preview is ready
+   * @param {function(File[]): void} onMoreFiles - callback for the rest of files when several are selected
+   */
+  uploadSelectedFile({ onPreview, onMoreFiles }) {
+    ajax
+      .selectFiles({
+        accept: this.config.types,
+        multiple: this.config.multiple,
+      })
+      .then(
+        (files) => {
+          const [first, ...rest] = Array.from(files || []);
+
+          if (!first) {
+            return;
+          }
+
+          this.uploadByFile(first, { onPreview });
+
+          if (rest.length) {
+            /**
+             * Failures of the new blocks are not failures of this uploading
+             */
+            Promise.resolve(rest)
+              .then(onMoreFiles)
+              .catch((error) => {
+                console.error(error);
+              });
+          }
+        },
+        (error) => {
+          this.onError(error);
+        }
+      );
+  }
+
+  /**
+   * Handle clicks on the upload file button
+   * Sends url to the byUrl endpoint
    *
    * @param {string} url - image source url
    */
   uploadByUrl(url) {
+    const controller = this.startUploading();
+
+    this.lastUpload = () => this.uploadByUrl(url);
+    this.handleUploading(
+      this.withRetry(
+        () =>
+          this.enqueue(() => this.sendUrl(url, controller.signal), controller),
+        controller
+      ),
+      controller
+    );
+  }
+
+  /**
+   * Sends URL with custom uploader or to the byUrl endpoint
+   *
+   * @param {string} url - image source url
+   * @param {AbortSignal} signal - cancels uploading
+   * @returns {Promise<UploadResponseFormat>}
+   */
+  sendUrl(url, signal) {
     let upload;
 
     /**
@@ -102,7 +192,7 @@ export default class Uploader {
       this.config.uploader &&
       typeof this.config.uploader.uploadByUrl === 'function'
     ) {
-      upload = this.config.uploader.uploadByUrl(url);
+      upload = this.config.uploader.uploadByUrl(url, { signal });
 
       if (!isPromise(upload)) {
         console.warn(
@@ -113,50 +203,174 @@ export default class Uploader {
       /**
        * Default uploading
        */
-      upload = ajax
-        .post({
-          url: this.config.endpoints.byUrl,
-          data: Object.assign(
-            {
-              url: url,
-            },
-            this.config.additionalRequestData
-          ),
-          type: ajax.contentType.JSON,
-          headers: this.config.additionalRequestHeaders,
-        })
-        .then((response) => response.body);
+      upload = request({
+        url: this.config.endpoints.byUrl,
+        data: Object.assign(
+          {
+            url: url,
+          },
+          this.config.additionalRequestData
+        ),
+        headers: this.config.additionalRequestHeaders,
+        signal,
+      });
     }
 
-    upload
-      .then((response) => {
-        this.onUpload(response);
-      })
-      .catch((error) => {
-        this.onError(error);
-      });
+    return Promise.resolve(upload);
   }
 
   /**
    * Handle clicks on the upload file button
-   * Fires ajax.post()
+   * Preprocesses file and sends it with {@link Uploader#sendFile}
    *
    * @param {File} file - file pasted by drag-n-drop
    * @param {Function} onPreview - file pasted by drag-n-drop
    */
   uploadByFile(file, { onPreview }) {
-    /**
-     * Load file for preview
-     *
-     * @type {FileReader}
-     */
-    const reader = new FileReader();
+    const controller = this.startUploading();
+
+    this.lastUpload = () => this.uploadByFile(file, { onPreview });
+
+    const upload = this.preprocess(file).then(
+      ({ file: processedFile, preview, exif }) => {
+        /**
+         * Load upright processed file for preview. Cancelled uploading must not cover the current image
+         *
+         * @type {FileReader}
+         */
+        const reader = new FileReader();
+
+        preview.then((previewFile) => {
+          if (!controller.signal.aborted) {
+            reader.readAsDataURL(previewFile);
+          }
+        });
+        reader.onload = (e) => {
+          if (!controller.signal.aborted) {
+            onPreview(e.target.result);
+          }
+        };
+
+        return this.withRetry(
+          () =>
+            this.enqueue(
+              () => this.sendFile(processedFile, controller.signal, exif),
+              controller
+            ),
+          controller
+        );
+      }
+    );
 
-    reader.readAsDataURL(file);
-    reader.onload = (e) => {
-      onPreview(e.target.result);
-    };
+    this.handleUploading(upload, controller);
+  }
+
+  /**
+   * Client-side preprocessing of the file: EXIF reading, private tags stripping, orientation and compression
+   *
+   * @param {File} file - selected, pasted or dropped file
+   * @returns {Promise<{file: (File|Blob), preview: Promise<File|Blob>, exif: (ExifData|null)}>}
+   *          file to upload, its upright version for preview and metadata for the backend
+   */
+  preprocess(file) {
+    const options = this.config.exif;
+
+    if (!options) {
+      return compressImage(file, this.config.compression).then(
+        (processedFile) => ({
+          file: processedFile,
+          preview: Promise.resolve(processedFile),
+          exif: null,
+        })
+      );
+    }
+
+    return readExif(file).then((exif) => {
+      let source;
+
+      return (
+        options.stripPrivate ? stripPrivateTags(file) : Promise.resolve(file)
+      )
+        .then((strippedFile) => {
+          source = strippedFile;
+
+          /**
+           * Files the browser can not decode are uploaded as is
+           */
+          return options.autoOrient
+            ? orientImage(source, exif).catch(() => source)
+            : source;
+        })
+        .then((orientedFile) =>
+          compressImage(orientedFile, this.config.compression)
+        )
+        .then((processedFile) => ({
+          file: processedFile,
 
+          /**
+           * Redrawn files are upright already, the source one may need orientation
+           */
+          preview:
+            processedFile === source
+              ? orientImage(source, exif, { preview: true }).catch(() => source)
+              : Promise.resolve(processedFile),
+          exif: exif && options.stripPrivate ? omitGps(exif) : exif,
+        }));
+    });
+  }
+
+  /**
+   * Waits for a free slot in the shared uploading queue and sends the request
+   *
+   * @param {function(): Promise<UploadResponseFormat>} send - sends file or URL once
+   * @param {AbortController} controller - controller of this uploading, cancelled requests are not sent
+   * @returns {Promise<UploadResponseFormat>}
+   */
+  enqueue(send, controller) {
+    return uploadQueue.add(() => {
+      if (controller.signal.aborted) {
+        return Promise.reject(new Error('Uploading cancelled'));
+      }
+
+      return send();
+    });
+  }
+
+  /**
+   * Repeats failed sending with exponential backoff: network errors and 5xx responses only
+   *
+   * @param {function(): Promise<UploadResponseFormat>} send - sends file or URL once
+   * @param {AbortController} controller - controller of this uploading, stops retrying when aborted
+   * @param {number} [attempt] - number of attempts already made
+   * @returns {Promise<UploadResponseFormat>}
+   */
+  withRetry(send, controller, attempt = 0) {
+    const { attempts, delay } = this.config.retry;
+
+    return send().catch((error) => {
+      if (
+        attempt >= attempts ||
+        controller.signal.aborted ||
+        !isRetryable(error)
+      ) {
+        throw error;
+      }
+
+      return wait(delay * Math.pow(2, attempt), controller.signal).then(() =>
+        this.withRetry(send, controller, attempt + 1)
+      );
+    });
+  }
+
+  /**
+   * Sends file with custom uploader or to the byFile endpoint
+   *
+   * @param {File|Blob} file - file to upload
+   * @param {AbortSignal} signal - cancels uploading
+   * @param {ExifData|null} [exif] - EXIF metadata of the file, sent along with it
+   * @returns {Promise<UploadResponseFormat>}
+   */
+  sendFile(file, signal, exif = null) {
     let upload;
 
     /**
@@ -166,7 +380,11 @@ export default class Uploader {
       this.config.uploader &&
       typeof this.config.uploader.uploadByFile === 'function'
     ) {
-      upload = this.config.uploader.uploadByFile(file);
+      upload = this.config.uploader.uploadByFile(file, {
+        onProgress: this.onProgress,
+        signal,
+        exif,
+      });
 
       if (!isPromise(upload)) {
         console.warn(
@@ -177,37 +395,176 @@ export default class Uploader {
       /**
        * Default uploading
        */
-      const formData = new FormData();
+      upload = request({
+        url: this.config.endpoints.byFile,
+        data: this.createFormData(file, exif),
+        headers: this.config.additionalRequestHeaders,
+        onProgress: this.onProgress,
+        signal,
+      });
+    }
 
-      formData.append(this.config.field, file);
+    return Promise.resolve(upload);
+  }
 
-      if (
-        this.config.additionalRequestData &&
-        Object.keys(this.config.additionalRequestData).length
-      ) {
-        Object.entries(this.config.additionalRequestData).forEach(
-          ([name, value]) => {
-            formData.append(name, value);
-          }
+  /**
+   * Sends original image to the separate private storage, used to keep it when a redacted copy replaces the image.
+   * Does not affect the current uploading and its progress
+   *
+   * @param {File|Blob} file - original image
+   * @returns {Promise<UploadResponseFormat>}
+   */
+  uploadOriginal(file) {
+    const controller = new AbortController();
+    let send;
+
+    /**
+     * Custom uploading
+     */
+    if (
+      this.config.uploader &&
+      typeof this.config.uploader.uploadOriginal === 'function'
+    ) {
+      send = () =>
+        Promise.resolve(
+          this.config.uploader.uploadOriginal(file, {
+            signal: controller.signal,
+          })
         );
-      }
+    } else {
+      /**
+       * Default uploading
+       */
+      send = () =>
+        request({
+          url: this.config.endpoints.original,
+          data: this.createFormData(file),
+          headers: this.config.additionalRequestHeaders,
+          signal: controller.signal,
+        });
+    }
+
+    return this.withRetry(() => this.enqueue(send, controller), controller);
+  }
+
+  /**
+   * Asks backend to delete the public file replaced by a redacted copy, so unredacted pixels are not served anymore.
+   * Does not affect the current uploading and its progress
+   *
+   * @param {object} file - file data returned by backend on uploading
+   * @returns {Promise<{success: number}>}
+   */
+  removeFile(file) {
+    const controller = new AbortController();
+    let send;
 
-      upload = ajax
-        .post({
-          url: this.config.endpoints.byFile,
-          data: formData,
-          type: ajax.contentType.JSON,
+    /**
+     * Custom removing
+     */
+    if (
+      this.config.uploader &&
+      typeof this.config.uploader.removeFile === 'function'
+    ) {
+      send = () =>
+        Promise.resolve(
+          this.config.uploader.removeFile(file, {
+            signal: controller.signal,
+          })
+        );
+    } else {
+      /**
+       * Default removing
+       */
+      send = () =>
+        request({
+          url: this.config.endpoints.remove,
+          data: Object.assign({ file }, this.config.additionalRequestData),
           headers: this.config.additionalRequestHeaders,
-        })
-        .then((response) => response.body);
+          signal: controller.signal,
+        });
     }
 
-    upload
-      .then((response) => {
-        this.onUpload(response);
-      })
-      .catch((error) => {
-        this.onError(error);
-      });
+    return this.withRetry(() => this.enqueue(send, controller), controller);
   }
+
+  /**
+   * Creates form data for the default file uploading: file field, EXIF metadata as JSON and additional request data
+   *
+   * @param {File|Blob} file - file to upload
+   * @param {ExifData|null} [exif] - EXIF metadata of the file
+   * @returns {FormData}
+   */
+  createFormData(file, exif = null) {
+    const formData = new FormData();
+
+    formData.append(this.config.field, file);
+
+    if (exif && this.config.exif) {
+      formData.append(this.config.exif.field, JSON.stringify(exif));
+    }
+
+    if (
+      this.config.additionalRequestData &&
+      Object.keys(this.config.additionalRequestData).length
+    ) {
+      Object.entries(this.config.additionalRequestData).forEach(
+        ([name, value]) => {
+          formData.append(name, value);
+        }
+      );
+    }
+
+    return formData;
+  }
+}
+
+/**
+ * Checks if failed uploading is worth repeating: network errors and server errors only.
+ * Default requests reject with `code` 0 for network errors, fetch() in custom uploaders rejects with TypeError
+ *
+ * @param {Error} error - uploading error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+
+  if (typeof error.code === 'number') {
+    return error.code === 0 || error.code >= 500;
+  }
+
+  return error instanceof TypeError;
+}
+
+/**
+ * Copies EXIF metadata without the location, used when private tags are stripped from the file
+ *
+ * @param {ExifData} exif - parsed metadata
+ * @returns {ExifData}
+ */
+function omitGps(exif) {
+  const data = Object.assign({}, exif);
+
+  delete data.gps;
+
+  return data;
+}
+
+/**
+ * Resolves after the delay, rejects if uploading is cancelled earlier
+ *
+ * @param {number} ms - delay in milliseconds
+ * @param {AbortSignal} signal - cancels waiting
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, ms);
+
+    signal.addEventListener('abort', () => {
+      clearTimeout(timeout);
+      reject(new Error('Uploading cancelled'));
+    });
+  });
 }
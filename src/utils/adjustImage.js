@@ -0,0 +1,207 @@
+import { loadImage, canvasToFile } from './canvas';
+
+/**
+ * Returns 3x3 convolution kernel that sharpens the image
+ *
+ * @param {number} amount - sharpen amount from 0 to 100
+ * @returns {number[]}
+ */
+export function sharpenKernel(amount) {
+  const edge = -amount / 50;
+
+  return [0, edge, 0, edge, 1 - edge * 4, edge, 0, edge, 0];
+}
+
+/**
+ * Draws the image with adjustments applied into a new file.
+ * Colour adjustments use the same matrices as CSS filters, so the result matches the preview in every browser
+ *
+ * @param {Blob} original - original image file
+ * @param {ImageAdjustments} adjustments - adjustments to apply
+ * @returns {Promise<File>}
+ */
+export default function adjustImage(original, adjustments) {
+  return loadImage(original).then((image) => {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    context.drawImage(image, 0, 0);
+
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+
+    adjustPixels(imageData, adjustments);
+    context.putImageData(imageData, 0, 0);
+
+    return canvasToFile(canvas, original.type, 'adjusted');
+  });
+}
+
+/**
+ * Applies adjustments to the pixels in place. Signature matches Konva filters
+ *
+ * @param {ImageData} imageData - image pixels
+ * @param {ImageAdjustments} adjustments - adjustments to apply
+ * @returns {void}
+ */
+export function adjustPixels(imageData, adjustments) {
+  applyColorMatrices(imageData.data, getColorMatrices(adjustments));
+
+  if (adjustments.sharpen > 0) {
+    convolve(imageData, sharpenKernel(adjustments.sharpen));
+  }
+}
+
+/**
+ * Converts adjustments to colour matrices in the order of the CSS filter functions.
+ * Each matrix is 3x3 followed by the offset added to every channel
+ *
+ * @see {@link https://www.w3.org/TR/filter-effects-1/#ShorthandEquivalents}
+ * @param {ImageAdjustments} adjustments - adjustments to apply
+ * @returns {number[][]}
+ */
+function getColorMatrices(adjustments) {
+  const matrices = [];
+  const brightness = adjustments.brightness / 100;
+  const contrast = adjustments.contrast / 100;
+  const saturation = adjustments.saturation / 100;
+  const gray = 1 - adjustments.grayscale / 100;
+  const sepia = 1 - adjustments.sepia / 100;
+
+  if (brightness !== 1) {
+    matrices.push([brightness, 0, 0, 0, brightness, 0, 0, 0, brightness, 0]);
+  }
+
+  if (contrast !== 1) {
+    matrices.push([
+      contrast,
+      0,
+      0,
+      0,
+      contrast,
+      0,
+      0,
+      0,
+      contrast,
+      255 * (0.5 - contrast / 2),
+    ]);
+  }
+
+  if (saturation !== 1) {
+    matrices.push([
+      0.213 + 0.787 * saturation,
+      0.715 - 0.715 * saturation,
+      0.072 - 0.072 * saturation,
+      0.213 - 0.213 * saturation,
+      0.715 + 0.285 * saturation,
+      0.072 - 0.072 * saturation,
+      0.213 - 0.213 * saturation,
+      0.715 - 0.715 * saturation,
+      0.072 + 0.928 * saturation,
+      0,
+    ]);
+  }
+
+  if (gray !== 1) {
+    matrices.push([
+      0.2126 + 0.7874 * gray,
+      0.7152 - 0.7152 * gray,
+      0.0722 - 0.0722 * gray,
+      0.2126 - 0.2126 * gray,
+      0.7152 + 0.2848 * gray,
+      0.0722 - 0.0722 * gray,
+      0.2126 - 0.2126 * gray,
+      0.7152 - 0.7152 * gray,
+      0.0722 + 0.9278 * gray,
+      0,
+    ]);
+  }
+
+  if (sepia !== 1) {
+    matrices.push([
+      0.393 + 0.607 * sepia,
+      0.769 - 0.769 * sepia,
+      0.189 - 0.189 * sepia,
+      0.349 - 0.349 * sepia,
+      0.686 + 0.314 * sepia,
+      0.168 - 0.168 * sepia,
+      0.272 - 0.272 * sepia,
+      0.534 - 0.534 * sepia,
+      0.131 + 0.869 * sepia,
+      0,
+    ]);
+  }
+
+  return matrices;
+}
+
+/**
+ * Applies colour matrices one by one, channels are clamped after each of them like CSS filters do
+ *
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number[][]} matrices - colour matrices
+ * @returns {void}
+ */
+function applyColorMatrices(pixels, matrices) {
+  if (!matrices.length) {
+    return;
+  }
+
+  const clamp = (value) => Math.min(255, Math.max(0, value));
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    let r = pixels[i];
+    let g = pixels[i + 1];
+    let b = pixels[i + 2];
+
+    matrices.forEach((m) => {
+      const red = clamp(m[0] * r + m[1] * g + m[2] * b + m[9]);
+      const green = clamp(m[3] * r + m[4] * g + m[5] * b + m[9]);
+      const blue = clamp(m[6] * r + m[7] * g + m[8] * b + m[9]);
+
+      r = red;
+      g = green;
+      b = blue;
+    });
+
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+}
+
+/**
+ * Applies 3x3 convolution kernel to colour channels, alpha is kept. Edge pixels are repeated
+ *
+ * @param {ImageData} imageData - image pixels
+ * @param {number[]} kernel - 3x3 kernel
+ * @returns {void}
+ */
+function convolve(imageData, kernel) {
+  const { width, height, data } = imageData;
+  const source = new Uint8ClampedArray(data);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+
+      for (let channel = 0; channel < 3; channel++) {
+        let sum = 0;
+
+        for (let ky = -1; ky <= 1; ky++) {
+          for (let kx = -1; kx <= 1; kx++) {
+            const sx = Math.min(width - 1, Math.max(0, x + kx));
+            const sy = Math.min(height - 1, Math.max(0, y + ky));
+
+            sum +=
+              source[(sy * width + sx) * 4 + channel] *
+              kernel[(ky + 1) * 3 + kx + 1];
+          }
+        }
+
+        data[index + channel] = sum;
+      }
+    }
+  }
+}
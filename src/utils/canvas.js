@@ -0,0 +1,60 @@
+/**
+ * Mime-types canvas images are encoded to, others are saved as PNG
+ */
+const OUTPUT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Loads file into an Image element
+ *
+ * @param {Blob} file - image file
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Image can not be decoded'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Encodes canvas into a file of the original image type when canvas supports it
+ *
+ * @param {HTMLCanvasElement} canvas - canvas with the image
+ * @param {string} type - preferred mime-type
+ * @param {string} name - file name without extension
+ * @param {number} [quality] - JPEG and WebP quality from 0 to 1
+ * @returns {Promise<File>}
+ */
+export function canvasToFile(canvas, type, name, quality = 0.92) {
+  const outputType = OUTPUT_TYPES.includes(type) ? type : 'image/png';
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('Image can not be encoded'));
+
+          return;
+        }
+
+        resolve(
+          new File([ blob ], `${name}.${outputType.replace('image/', '')}`, {
+            type: outputType,
+          })
+        );
+      },
+      outputType,
+      quality
+    );
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * @typedef {object} CompressionConfig
+ * @description Client-side image preprocessing applied before upload
+ * @property {number} maxDimension - max width or height in pixels, 0 to keep original dimensions
+ * @property {string} type - output mime-type: 'image/jpeg' or 'image/webp'
+ * @property {number} quality - output quality from 0 to 1
+ * @property {number} threshold - files smaller than this size in bytes are uploaded untouched
+ */
+
+/**
+ * Mime-types that can not be redrawn on canvas without losing content: animation or vectors
+ */
+const SKIPPED_TYPES = ['image/gif', 'image/svg+xml'];
+
+/**
+ * Downscales and re-encodes image file with canvas
+ *
+ * @param {File|Blob} file - original file
+ * @param {CompressionConfig|null} options - compression settings, null to skip compression
+ * @returns {Promise<File|Blob>} processed file or the original one if processing is not needed, does not help or fails
+ */
+export default function compressImage(file, options) {
+  if (
+    !options ||
+    !/^image\//.test(file.type) ||
+    SKIPPED_TYPES.includes(file.type) ||
+    file.size < options.threshold
+  ) {
+    return Promise.resolve(file);
+  }
+
+  return loadImage(file).then(
+    (image) => {
+      const longestSide = Math.max(image.naturalWidth, image.naturalHeight);
+      const scale =
+        options.maxDimension > 0
+          ? Math.min(1, options.maxDimension / longestSide)
+          : 1;
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d');
+
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+
+      /**
+       * JPEG has no alpha channel: transparent pixels would turn black
+       */
+      if (options.type === 'image/jpeg') {
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      return new Promise((resolve) => {
+        canvas.toBlob(
+          (blob) => {
+            /**
+             * Re-encoding of the image with the same dimensions may produce a bigger file
+             */
+            if (!blob || (scale === 1 && blob.size >= file.size)) {
+              resolve(file);
+
+              return;
+            }
+
+            resolve(
+              new File([ blob ], renameFile(file.name, blob.type), {
+                type: blob.type,
+              })
+            );
+          },
+          options.type,
+          options.quality
+        );
+      });
+    },
+
+    /**
+     * Files the browser can not decode, e.g. HEIC, are uploaded as is
+     */
+    () => file
+  );
+}
+
+/**
+ * Loads file into an Image element
+ *
+ * @param {File|Blob} file - image file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Image can not be decoded'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Replaces file extension according to the new mime-type
+ *
+ * @param {string} [name] - original file name, pasted blobs have no name
+ * @param {string} type - new mime-type
+ * @returns {string}
+ */
+function renameFile(name, type) {
+  const extension = type.replace('image/', '').replace('jpeg', 'jpg');
+
+  return `${(name || 'image').replace(/\.[^.]+$/, '')}.${extension}`;
+}
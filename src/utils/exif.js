@@ -0,0 +1,577 @@
+/**
+ * @typedef {object} ExifConfig
+ * @description Reading of the EXIF metadata before upload
+ * @property {boolean} autoOrient - redraw the uploaded image upright according to the EXIF orientation
+ * @property {boolean} stripPrivate - remove GPS, XMP and owner or serial number tags from the uploaded JPEG file
+ * @property {string} field - name of the form field with the parsed metadata as JSON
+ */
+
+/**
+ * @typedef {object} ExifData
+ * @description EXIF metadata of the JPEG file, missing tags are omitted
+ * @property {number} orientation - EXIF orientation from 1 to 8, 1 for upright images
+ * @property {number} [width] - width of the stored pixels, before orientation
+ * @property {number} [height] - height of the stored pixels, before orientation
+ * @property {string} [date] - capture date as 'YYYY-MM-DDTHH:mm:ss' in the camera time zone
+ * @property {string} [make] - camera maker
+ * @property {string} [model] - camera model
+ * @property {string} [lens] - lens model
+ * @property {string} [software] - software that produced the file
+ * @property {number} [exposureTime] - exposure time in seconds
+ * @property {number} [fNumber] - aperture f-number
+ * @property {number} [iso] - ISO sensitivity
+ * @property {number} [focalLength] - focal length in millimeters
+ * @property {{latitude: number, longitude: number, altitude: (number|undefined)}} [gps] - capture location in degrees and meters
+ */
+
+/**
+ * Bytes read for parsing: APP1 segment is at most 64 KB, but other segments may precede it
+ */
+const HEAD_SIZE = 256 * 1024;
+
+/**
+ * Byte sizes of the TIFF value types
+ */
+const TYPE_SIZES = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  7: 1,
+  9: 4,
+  10: 8,
+};
+
+/**
+ * Tags of IFD0 and Exif IFD
+ */
+const TAGS = {
+  orientation: 0x0112,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  date: 0x9003,
+};
+
+/**
+ * Plain tags copied to the parsed data: IFD0 and Exif IFD ones
+ */
+const IFD0_FIELDS = {
+  make: 0x010f,
+  model: 0x0110,
+  software: 0x0131,
+};
+const EXIF_FIELDS = {
+  exposureTime: 0x829a,
+  fNumber: 0x829d,
+  iso: 0x8827,
+  focalLength: 0x920a,
+  lens: 0xa434,
+};
+
+/**
+ * Tags identifying the author or the device: artist, host computer, maker note, user comment,
+ * unique image id, camera owner and body or lens serial numbers
+ */
+const PRIVATE_TAGS = [
+  0x013b, 0x013c, 0x9c9d, 0x927c, 0x9286, 0xa420, 0xa430, 0xa431, 0xa435,
+];
+
+/**
+ * Reads EXIF metadata of the JPEG file. Other formats and broken metadata give null
+ *
+ * @param {File|Blob} file - image file
+ * @returns {Promise<ExifData|null>}
+ */
+export function readExif(file) {
+  if (file.type !== 'image/jpeg') {
+    return Promise.resolve(null);
+  }
+
+  return readBuffer(file.slice(0, HEAD_SIZE))
+    .then((buffer) => {
+      const view = new DataView(buffer);
+      const jpeg = parseJpeg(view);
+
+      if (!jpeg || !jpeg.tiff) {
+        return null;
+      }
+
+      const { tiff } = jpeg;
+      const ifd0 = readIfd(view, tiff, tiff.ifd0);
+      const orientation = readTag(view, tiff, ifd0, TAGS.orientation);
+      const exif = {
+        orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+      };
+
+      assign(exif, 'width', jpeg.width);
+      assign(exif, 'height', jpeg.height);
+      Object.entries(IFD0_FIELDS).forEach(([name, tag]) => {
+        assign(exif, name, readTag(view, tiff, ifd0, tag));
+      });
+
+      const exifIfdOffset = readTag(view, tiff, ifd0, TAGS.exifIfd);
+
+      if (exifIfdOffset) {
+        const exifIfd = readIfd(view, tiff, exifIfdOffset);
+        const date = readTag(view, tiff, exifIfd, TAGS.date);
+
+        if (typeof date === 'string') {
+          assign(
+            exif,
+            'date',
+            date.replace(
+              /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})$/,
+              '$1-$2-$3T$4'
+            )
+          );
+        }
+        Object.entries(EXIF_FIELDS).forEach(([name, tag]) => {
+          assign(exif, name, readTag(view, tiff, exifIfd, tag));
+        });
+      }
+
+      const gpsIfdOffset = readTag(view, tiff, ifd0, TAGS.gpsIfd);
+
+      if (gpsIfdOffset) {
+        assign(
+          exif,
+          'gps',
+          readGps(view, tiff, readIfd(view, tiff, gpsIfdOffset))
+        );
+      }
+
+      return exif;
+    })
+    .catch(() => null);
+}
+
+/**
+ * Removes location and private tags from the JPEG file: erases GPS IFD and private tag values in place,
+ * so orientation and camera data stay, and drops XMP segments. Other formats are returned as is
+ *
+ * @param {File|Blob} file - image file
+ * @returns {Promise<File|Blob>} rejects when the file can not be parsed, so private data never leaves the browser
+ */
+export function stripPrivateTags(file) {
+  if (file.type !== 'image/jpeg') {
+    return Promise.resolve(file);
+  }
+
+  return readBuffer(file).then((buffer) => {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const jpeg = parseJpeg(view);
+
+    if (!jpeg) {
+      throw new Error('Image metadata can not be parsed');
+    }
+
+    const xmpSegments = jpeg.segments.filter(({ xmp }) => xmp);
+
+    if (!jpeg.tiff && !xmpSegments.length) {
+      return file;
+    }
+
+    if (jpeg.tiff) {
+      erasePrivateTags(view, bytes, jpeg.tiff);
+    }
+
+    const parts = [];
+    let offset = 0;
+
+    xmpSegments.forEach(({ start, end }) => {
+      parts.push(bytes.subarray(offset, start));
+      offset = end;
+    });
+    parts.push(bytes.subarray(offset));
+
+    return new File(parts, file.name || 'image.jpg', {
+      type: file.type,
+      lastModified: file.lastModified,
+    });
+  });
+}
+
+/**
+ * Reads file into an ArrayBuffer
+ *
+ * @param {Blob} blob - file or its part
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readBuffer(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('File can not be read'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Walks JPEG segments up to the image data: finds EXIF and XMP segments and frame dimensions
+ *
+ * @param {DataView} view - file bytes
+ * @returns {{segments: Array<{start: number, end: number, xmp: boolean}>, tiff: object|null, width: number, height: number}|null}
+ *          null when the file is not a JPEG
+ */
+function parseJpeg(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+    return null;
+  }
+
+  const jpeg = {
+    segments: [],
+    tiff: null,
+    width: 0,
+    height: 0,
+  };
+  let offset = 2;
+
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) {
+      throw new Error('Broken JPEG segment');
+    }
+
+    const marker = view.getUint8(offset + 1);
+
+    /**
+     * Markers may be padded with 0xFF bytes
+     */
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    /**
+     * Start of scan or end of image: no metadata after it
+     */
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+
+    const start = offset;
+    const end = offset + 2 + view.getUint16(offset + 2);
+
+    /**
+     * Segment is cut off: the file is broken or only its head is read
+     */
+    if (end > view.byteLength) {
+      break;
+    }
+
+    const segment = {
+      start,
+      end,
+      xmp: false,
+    };
+
+    if (marker === 0xe1) {
+      if (
+        !jpeg.tiff &&
+        view.getUint32(start + 4) === 0x45786966 &&
+        view.getUint16(start + 8) === 0
+      ) {
+        jpeg.tiff = parseTiff(view, start + 10, end);
+      } else {
+        segment.xmp =
+          readString(view, start + 4, 29) === 'http://ns.adobe.com/xap/1.0/\0';
+      }
+    }
+
+    /**
+     * Start of frame markers, except huffman and arithmetic tables
+     */
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      jpeg.height = view.getUint16(start + 5);
+      jpeg.width = view.getUint16(start + 7);
+    }
+
+    jpeg.segments.push(segment);
+    offset = end;
+  }
+
+  return jpeg;
+}
+
+/**
+ * Reads TIFF header of the EXIF segment
+ *
+ * @param {DataView} view - file bytes
+ * @param {number} start - TIFF header offset
+ * @param {number} end - EXIF segment end, values outside of it are broken
+ * @returns {{start: number, end: number, little: boolean, ifd0: number}}
+ */
+function parseTiff(view, start, end) {
+  const order = view.getUint16(start);
+
+  if (order !== 0x4949 && order !== 0x4d4d) {
+    throw new Error('Unknown TIFF byte order');
+  }
+
+  const little = order === 0x4949;
+
+  if (view.getUint16(start + 2, little) !== 42) {
+    throw new Error('Broken TIFF header');
+  }
+
+  return {
+    start,
+    end,
+    little,
+    ifd0: view.getUint32(start + 4, little),
+  };
+}
+
+/**
+ * Throws when bytes are outside of the EXIF segment
+ *
+ * @param {object} tiff - TIFF header
+ * @param {number} start - first byte offset
+ * @param {number} size - number of bytes
+ * @returns {void}
+ */
+function checkRange(tiff, start, size) {
+  if (start < tiff.start || start + size > tiff.end) {
+    throw new Error('Broken EXIF data');
+  }
+}
+
+/**
+ * Reads IFD entries: tag, value type, count and offset of the value in the file
+ *
+ * @param {DataView} view - file bytes
+ * @param {object} tiff - TIFF header
+ * @param {number} offset - IFD offset from the TIFF header
+ * @returns {{start: number, entries: Array<{tag: number, type: number, count: number, size: number, value: number}>}}
+ */
+function readIfd(view, tiff, offset) {
+  const start = tiff.start + offset;
+
+  checkRange(tiff, start, 2);
+
+  const count = view.getUint16(start, tiff.little);
+  const entries = [];
+
+  checkRange(tiff, start, 2 + count * 12 + 4);
+
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    const type = view.getUint16(entry + 2, tiff.little);
+    const length = view.getUint32(entry + 4, tiff.little);
+    const size = (TYPE_SIZES[type] || 1) * length;
+
+    entries.push({
+      tag: view.getUint16(entry, tiff.little),
+      type,
+      count: length,
+      size,
+      value:
+        size > 4
+          ? tiff.start + view.getUint32(entry + 8, tiff.little)
+          : entry + 8,
+    });
+  }
+
+  return {
+    start,
+    entries,
+  };
+}
+
+/**
+ * Reads tag value of the IFD: string, number or array of numbers for multi-value tags
+ *
+ * @param {DataView} view - file bytes
+ * @param {object} tiff - TIFF header
+ * @param {object} ifd - IFD read by {@link readIfd}
+ * @param {number} tag - tag id
+ * @returns {string|number|number[]|undefined} undefined when the tag is missing or has unknown type
+ */
+function readTag(view, tiff, ifd, tag) {
+  const entry = ifd.entries.find((item) => item.tag === tag);
+
+  if (!entry || !TYPE_SIZES[entry.type]) {
+    return undefined;
+  }
+
+  checkRange(tiff, entry.value, entry.size);
+
+  if (entry.type === 2) {
+    return readString(view, entry.value, entry.count)
+      .replace(/\0[\s\S]*$/, '')
+      .trim();
+  }
+
+  const values = [];
+  const size = TYPE_SIZES[entry.type];
+
+  for (let i = 0; i < entry.count; i++) {
+    values.push(
+      readNumber(view, entry.type, entry.value + i * size, tiff.little)
+    );
+  }
+
+  return entry.count === 1 ? values[0] : values;
+}
+
+/**
+ * Reads one numeric value of the TIFF type
+ *
+ * @param {DataView} view - file bytes
+ * @param {number} type - TIFF value type
+ * @param {number} offset - value offset
+ * @param {boolean} little - little-endian byte order
+ * @returns {number}
+ */
+function readNumber(view, type, offset, little) {
+  switch (type) {
+    case 3:
+      return view.getUint16(offset, little);
+    case 4:
+      return view.getUint32(offset, little);
+    case 9:
+      return view.getInt32(offset, little);
+    case 5:
+      return (
+        view.getUint32(offset, little) / view.getUint32(offset + 4, little)
+      );
+    case 10:
+      return view.getInt32(offset, little) / view.getInt32(offset + 4, little);
+    default:
+      return view.getUint8(offset);
+  }
+}
+
+/**
+ * Reads ASCII string
+ *
+ * @param {DataView} view - file bytes
+ * @param {number} offset - string offset
+ * @param {number} length - number of bytes
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+  let string = '';
+
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    string += String.fromCharCode(view.getUint8(offset + i));
+  }
+
+  return string;
+}
+
+/**
+ * Converts GPS tags into decimal degrees, negative for south and west
+ *
+ * @param {DataView} view - file bytes
+ * @param {object} tiff - TIFF header
+ * @param {object} ifd - GPS IFD
+ * @returns {{latitude: number, longitude: number, altitude: (number|undefined)}|undefined}
+ */
+function readGps(view, tiff, ifd) {
+  const toDegrees = (value, ref, negativeRef) => {
+    if (!Array.isArray(value) || value.length !== 3) {
+      return NaN;
+    }
+
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+
+    return ref === negativeRef ? -degrees : degrees;
+  };
+  const latitude = toDegrees(
+    readTag(view, tiff, ifd, 2),
+    readTag(view, tiff, ifd, 1),
+    'S'
+  );
+  const longitude = toDegrees(
+    readTag(view, tiff, ifd, 4),
+    readTag(view, tiff, ifd, 3),
+    'W'
+  );
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return undefined;
+  }
+
+  const gps = {
+    latitude,
+    longitude,
+  };
+  const altitude = readTag(view, tiff, ifd, 6);
+
+  if (Number.isFinite(altitude)) {
+    gps.altitude = readTag(view, tiff, ifd, 5) === 1 ? -altitude : altitude;
+  }
+
+  return gps;
+}
+
+/**
+ * Sets the parsed value unless it is missing, empty or not a finite number.
+ * Multi-value numeric tags keep their first value
+ *
+ * @param {ExifData} exif - parsed data
+ * @param {string} name - property name
+ * @param {*} value - tag value
+ * @returns {void}
+ */
+function assign(exif, name, value) {
+  const single = Array.isArray(value) ? value[0] : value;
+
+  if (
+    single === undefined ||
+    single === '' ||
+    single === 0 ||
+    (typeof single === 'number' && !Number.isFinite(single))
+  ) {
+    return;
+  }
+
+  exif[name] = single;
+}
+
+/**
+ * Erases values of the private tags and empties GPS IFD
+ *
+ * @param {DataView} view - file bytes
+ * @param {Uint8Array} bytes - the same bytes for erasing
+ * @param {object} tiff - TIFF header
+ * @returns {void}
+ */
+function erasePrivateTags(view, bytes, tiff) {
+  const erase = (start, size) => {
+    checkRange(tiff, start, size);
+    bytes.fill(0, start, start + size);
+  };
+  const ifd0 = readIfd(view, tiff, tiff.ifd0);
+  const ifds = [ ifd0 ];
+  const exifIfdOffset = readTag(view, tiff, ifd0, TAGS.exifIfd);
+  const gpsIfdOffset = readTag(view, tiff, ifd0, TAGS.gpsIfd);
+
+  if (exifIfdOffset) {
+    ifds.push(readIfd(view, tiff, exifIfdOffset));
+  }
+
+  ifds.forEach(({ entries }) => {
+    entries
+      .filter(({ tag }) => PRIVATE_TAGS.includes(tag))
+      .forEach(({ value, size }) => erase(value, size));
+  });
+
+  if (gpsIfdOffset) {
+    const gpsIfd = readIfd(view, tiff, gpsIfdOffset);
+
+    gpsIfd.entries.forEach(({ value, size }) => erase(value, size));
+
+    /**
+     * Zero entries count and next IFD offset leave a valid empty IFD
+     */
+    erase(gpsIfd.start, 2 + gpsIfd.entries.length * 12 + 4);
+  }
+}
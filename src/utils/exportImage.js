@@ -0,0 +1,135 @@
+import Annotator from '../annotate';
+import Adjuster from '../adjust';
+import { adjustPixels } from './adjustImage';
+import { loadImage, canvasToFile } from './canvas';
+
+/**
+ * @typedef {object} ExportOptions
+ * @description Output settings of the exported image
+ * @property {number} width - output width in pixels, height follows the edited image proportions
+ * @property {string} type - output mime-type: 'image/jpeg', 'image/png' or 'image/webp'
+ * @property {number} quality - JPEG and WebP quality from 0 to 1
+ */
+
+/**
+ * Renders the image with all block edits on an off-screen Konva stage: crop, rotation, flipping,
+ * annotations and adjustments. The stage is drawn into a new file of the chosen size and format
+ *
+ * @param {Blob} original - original image file
+ * @param {ImageToolData} data - block data with the edits
+ * @param {ExportOptions} options - output settings
+ * @returns {Promise<File>}
+ */
+export default function exportImage(original, data, options) {
+  return loadImage(original).then((image) =>
+    loadAnnotations(data.annotations, image).then((annotations) => {
+      const naturalWidth = image.naturalWidth;
+      const naturalHeight = image.naturalHeight;
+      const area = data.crop || {
+        x: 0,
+        y: 0,
+        width: 1,
+        height: 1,
+      };
+      const crop = {
+        x: area.x * naturalWidth,
+        y: area.y * naturalHeight,
+        width: area.width * naturalWidth,
+        height: area.height * naturalHeight,
+      };
+      const { rotate, flipX, flipY } = data.transform;
+      const radians = (rotate * Math.PI) / 180;
+      const cos = Math.abs(Math.cos(radians));
+      const sin = Math.abs(Math.sin(radians));
+
+      /**
+       * Output is the box around the rotated crop area
+       */
+      const boxWidth = crop.width * cos + crop.height * sin;
+      const boxHeight = crop.width * sin + crop.height * cos;
+      const scale = options.width / boxWidth;
+      const width = Math.round(options.width);
+      const height = Math.max(1, Math.round(boxHeight * scale));
+
+      const stage = new Konva.Stage({
+        container: document.createElement('div'),
+        width,
+        height,
+      });
+      const layer = new Konva.Layer();
+      const group = new Konva.Group({
+        x: width / 2,
+        y: height / 2,
+        offsetX: crop.width / 2,
+        offsetY: crop.height / 2,
+        rotation: rotate,
+        scaleX: flipX ? -scale : scale,
+        scaleY: flipY ? -scale : scale,
+      });
+      const photo = new Konva.Image({
+        image,
+        crop,
+        width: crop.width,
+        height: crop.height,
+      });
+
+      if (Adjuster.isChanged(data.adjustments)) {
+        photo.filters([
+          (imageData) => adjustPixels(imageData, data.adjustments),
+        ]);
+        photo.cache();
+      }
+
+      stage.add(layer);
+      layer.add(group);
+      group.add(photo);
+
+      if (annotations) {
+        group.add(
+          new Konva.Image({
+            image: annotations,
+            crop,
+            width: crop.width,
+            height: crop.height,
+          })
+        );
+      }
+
+      layer.draw();
+
+      const canvas = stage.toCanvas({ pixelRatio: 1 });
+
+      stage.destroy();
+
+      return canvasToFile(canvas, options.type, 'edited', options.quality);
+    })
+  );
+}
+
+/**
+ * Renders annotations to an image of the natural image size, so they can be cropped together with it
+ *
+ * @param {ImageAnnotation[]} shapes - saved shapes
+ * @param {HTMLImageElement} image - loaded original image
+ * @returns {Promise<HTMLImageElement|null>} null when there are no annotations
+ */
+function loadAnnotations(shapes, image) {
+  if (!shapes.length) {
+    return Promise.resolve(null);
+  }
+
+  const svg = Annotator.render(
+    shapes,
+    image.naturalHeight / image.naturalWidth
+  );
+
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  svg.setAttribute('width', image.naturalWidth);
+  svg.setAttribute('height', image.naturalHeight);
+
+  return loadImage(
+    new Blob([ new XMLSerializer().serializeToString(svg) ], {
+      type: 'image/svg+xml',
+    })
+  );
+}
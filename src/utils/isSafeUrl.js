@@ -0,0 +1,26 @@
+/**
+ * Check if URL can be rendered as a link: relative URLs and http(s), mailto and tel schemes.
+ * Script URLs saved in the block data must not run for readers
+ *
+ * @param {*} url - URL to check
+ * @returns {boolean}
+ */
+export default function isSafeUrl(url) {
+  if (typeof url !== 'string') {
+    return false;
+  }
+
+  /**
+   * Browsers ignore whitespace and control characters in the scheme, e.g. "java\tscript:"
+   */
+  const compact = Array.from(url)
+    .filter((char) => char.charCodeAt(0) > 32)
+    .join('');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  return (
+    Boolean(compact) &&
+    (!scheme ||
+      ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()))
+  );
+}
@@ -0,0 +1,92 @@
+import { loadImage, canvasToFile } from './canvas';
+
+/**
+ * Canvas transforms that draw stored pixels upright, by EXIF orientation.
+ * Orientations from 5 to 8 swap the image sides
+ */
+const TRANSFORMS = {
+  2: (width) => [-1, 0, 0, 1, width, 0],
+  3: (width, height) => [-1, 0, 0, -1, width, height],
+  4: (width, height) => [1, 0, 0, -1, 0, height],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (width, height) => [0, 1, -1, 0, height, 0],
+  7: (width, height) => [0, -1, -1, 0, height, width],
+  8: (width) => [0, -1, 1, 0, 0, width],
+};
+
+/**
+ * Whether the browser applies EXIF orientation to images itself, null until an image with swapped sides is loaded
+ *
+ * @type {boolean|null}
+ */
+let orientedByBrowser = null;
+
+/**
+ * Redraws image upright according to its EXIF orientation. The new file has no EXIF data
+ *
+ * @param {File|Blob} file - JPEG file with the EXIF orientation
+ * @param {ExifData|null} exif - parsed EXIF metadata of the file
+ * @param {object} [options] - orientation options
+ * @param {boolean} [options.preview] - return the file as is when the browser shows it upright itself
+ * @returns {Promise<File|Blob>}
+ */
+export default function orientImage(file, exif, { preview = false } = {}) {
+  if (!exif || exif.orientation <= 1) {
+    return Promise.resolve(file);
+  }
+
+  return loadImage(file).then((image) => {
+    const oriented = isOrientedByBrowser(image, exif);
+
+    if (preview && oriented) {
+      return file;
+    }
+
+    const { naturalWidth: width, naturalHeight: height } = image;
+    const swap = !oriented && exif.orientation >= 5;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    canvas.width = swap ? height : width;
+    canvas.height = swap ? width : height;
+
+    if (!oriented) {
+      context.transform(...TRANSFORMS[exif.orientation](width, height));
+    }
+    context.drawImage(image, 0, 0);
+
+    return canvasToFile(
+      canvas,
+      file.type,
+      (file.name || 'image').replace(/\.[^.]+$/, '')
+    );
+  });
+}
+
+/**
+ * Checks if the loaded image is already upright: browsers apply EXIF orientation by default since 2020.
+ * Images with swapped sides tell it by their natural size, others rely on the CSS support
+ *
+ * @param {HTMLImageElement} image - loaded image
+ * @param {ExifData} exif - parsed EXIF metadata of the image file
+ * @returns {boolean}
+ */
+function isOrientedByBrowser(image, exif) {
+  if (
+    exif.orientation >= 5 &&
+    exif.width &&
+    exif.height &&
+    exif.width !== exif.height
+  ) {
+    orientedByBrowser = image.naturalWidth === exif.height;
+  }
+
+  if (orientedByBrowser !== null) {
+    return orientedByBrowser;
+  }
+
+  return (
+    typeof CSS !== 'undefined' &&
+    CSS.supports('image-orientation', 'from-image')
+  );
+}
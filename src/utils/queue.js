@@ -0,0 +1,48 @@
+/**
+ * Runs async tasks with a limited number of them at a time
+ */
+export default class Queue {
+  /**
+   * @param {number} concurrency - max number of tasks running at the same time
+   */
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.pending = [];
+  }
+
+  /**
+   * Adds task to the queue
+   *
+   * @param {function(): Promise} task - function that starts the task
+   * @returns {Promise} resolves or rejects with the task result
+   */
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        task,
+        resolve,
+        reject,
+      });
+      this.next();
+    });
+  }
+
+  /**
+   * Starts pending tasks while there are free slots
+   *
+   * @returns {void}
+   */
+  next() {
+    while (this.active < this.concurrency && this.pending.length) {
+      const { task, resolve, reject } = this.pending.shift();
+      const done = () => {
+        this.active--;
+        this.next();
+      };
+
+      this.active++;
+      Promise.resolve().then(task).then(resolve, reject).then(done, done);
+    }
+  }
+}
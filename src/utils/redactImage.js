@@ -0,0 +1,113 @@
+import { loadImage, canvasToFile } from './canvas';
+
+/**
+ * Draws the image with hidden regions into a new file. Nothing of the hidden pixels is left in the result
+ *
+ * @param {Blob} original - original image file
+ * @param {ImageRedaction[]} regions - regions to hide
+ * @returns {Promise<File>}
+ */
+export default function redactImage(original, regions) {
+  return loadImage(original).then((image) => {
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+
+    canvas.width = width;
+    canvas.height = height;
+    context.drawImage(image, 0, 0);
+
+    regions.forEach((region) => {
+      const x = Math.floor(region.x * width);
+      const y = Math.floor(region.y * height);
+      const w = Math.ceil(region.width * width);
+      const h = Math.ceil(region.height * height);
+
+      if (w < 1 || h < 1) {
+        return;
+      }
+
+      switch (region.effect) {
+        case 'blur':
+          blur(context, image, x, y, w, h);
+          break;
+        case 'pixelate':
+          pixelate(context, x, y, w, h);
+          break;
+        default:
+          context.fillStyle = '#000';
+          context.fillRect(x, y, w, h);
+      }
+    });
+
+    return canvasToFile(canvas, original.type, 'redacted');
+  });
+}
+
+/**
+ * Blurs the region. Blur radius depends on the region size, so short texts become unreadable too
+ *
+ * @param {CanvasRenderingContext2D} context - canvas context with the image
+ * @param {HTMLImageElement} image - original image
+ * @param {number} x - region left edge in pixels
+ * @param {number} y - region top edge in pixels
+ * @param {number} w - region width in pixels
+ * @param {number} h - region height in pixels
+ * @returns {void}
+ */
+function blur(context, image, x, y, w, h) {
+  const radius = Math.max(8, Math.round(Math.min(w, h) / 3));
+
+  /**
+   * Downscaled copy loses details even if canvas filter is not supported
+   */
+  const size = Math.max(1, Math.round(radius / 2));
+  const small = document.createElement('canvas');
+
+  small.width = Math.max(1, Math.round(w / size));
+  small.height = Math.max(1, Math.round(h / size));
+  small
+    .getContext('2d')
+    .drawImage(image, x, y, w, h, 0, 0, small.width, small.height);
+
+  context.save();
+  context.beginPath();
+  context.rect(x, y, w, h);
+  context.clip();
+  context.filter = `blur(${radius}px)`;
+  context.drawImage(
+    small,
+    x - radius,
+    y - radius,
+    w + radius * 2,
+    h + radius * 2
+  );
+  context.restore();
+}
+
+/**
+ * Replaces the region with big single-colour blocks
+ *
+ * @param {CanvasRenderingContext2D} context - canvas context with the image
+ * @param {number} x - region left edge in pixels
+ * @param {number} y - region top edge in pixels
+ * @param {number} w - region width in pixels
+ * @param {number} h - region height in pixels
+ * @returns {void}
+ */
+function pixelate(context, x, y, w, h) {
+  const size = Math.max(8, Math.round(Math.min(w, h) / 4));
+  const small = document.createElement('canvas');
+
+  small.width = Math.max(1, Math.ceil(w / size));
+  small.height = Math.max(1, Math.ceil(h / size));
+  small
+    .getContext('2d')
+    .drawImage(context.canvas, x, y, w, h, 0, 0, small.width, small.height);
+
+  context.save();
+  context.imageSmoothingEnabled = false;
+  context.drawImage(small, 0, 0, small.width, small.height, x, y, w, h);
+  context.restore();
+}
@@ -0,0 +1,106 @@
+/**
+ * Sends POST request with XMLHttpRequest: unlike ajax.post() it reports upload progress
+ * and can be aborted
+ *
+ * @param {object} params - request params
+ * @param {string} params.url - request URL
+ * @param {FormData|object} params.data - FormData or object to be sent as JSON
+ * @param {object} [params.headers] - custom headers
+ * @param {function(number): void} [params.onProgress] - fired with uploading progress from 0 to 100
+ * @param {AbortSignal} [params.signal] - aborts request when signalled
+ * @returns {Promise<object>} parsed response body. Rejects with Error that has `code` (0 for network errors) and `body`,
+ *          also when the response is not JSON
+ */
+export default function request({
+  url,
+  data,
+  headers = {},
+  onProgress,
+  signal,
+}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const isFormData = data instanceof FormData;
+
+    /**
+     * Creates rejection reason
+     *
+     * @param {string} message - error text
+     * @param {string} [name] - error name, AbortError for aborted requests
+     * @returns {Error}
+     */
+    const createError = (message, name) => {
+      const error = new Error(message);
+
+      error.name = name || 'UploadError';
+      error.code = xhr.status;
+      error.body = xhr.responseText;
+
+      return error;
+    };
+
+    if (signal && signal.aborted) {
+      reject(createError('Request aborted', 'AbortError'));
+
+      return;
+    }
+
+    xhr.open('POST', url);
+    xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+
+    if (!isFormData) {
+      xhr.setRequestHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+
+    Object.entries(headers).forEach(([name, value]) => {
+      xhr.setRequestHeader(name, value);
+    });
+
+    if (onProgress) {
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          onProgress(Math.round((e.loaded / e.total) * 100));
+        }
+      });
+    }
+
+    xhr.addEventListener('load', () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(createError(`Request failed with status ${xhr.status}`));
+
+        return;
+      }
+
+      let body;
+
+      /**
+       * Uploading responses are JSON, other bodies mean a misconfigured endpoint
+       */
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch (e) {
+        reject(createError('Response is not valid JSON'));
+
+        return;
+      }
+
+      if (onProgress) {
+        onProgress(100);
+      }
+
+      resolve(body);
+    });
+    xhr.addEventListener('error', () => {
+      reject(createError('Network error'));
+    });
+    xhr.addEventListener('abort', () => {
+      reject(createError('Request aborted', 'AbortError'));
+    });
+
+    if (signal) {
+      signal.addEventListener('abort', () => xhr.abort());
+    }
+
+    xhr.send(isFormData ? data : JSON.stringify(data));
+  });
+}
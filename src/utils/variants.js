@@ -0,0 +1,57 @@
+/**
+ * @typedef {object} ImageVariant
+ * @description One of the image sizes or formats produced by backend
+ * @property {string} url - variant source URL
+ * @property {number} width - variant width in pixels
+ * @property {string} [format] - 'webp', 'avif', 'jpeg', 'png' or mime-type, the format of the original image if omitted
+ */
+
+/**
+ * Modern formats that are offered as <picture> sources, in order of preference
+ */
+const SOURCE_TYPES = ['image/avif', 'image/webp'];
+
+/**
+ * Groups backend variants into srcset values: modern formats go to <picture> sources,
+ * the rest is used by the image itself
+ *
+ * @param {ImageVariant[]} [variants] - image variants from the file data
+ * @returns {{srcset: string, sources: Array<{type: string, srcset: string}>}}
+ */
+export default function groupVariants(variants) {
+  const groups = {};
+
+  (Array.isArray(variants) ? variants : [])
+    .filter((variant) => variant && variant.url && variant.width > 0)
+    .forEach((variant) => {
+      const type = toMimeType(variant.format);
+      const key = SOURCE_TYPES.includes(type) ? type : '';
+
+      groups[key] = groups[key] || [];
+      groups[key].push(`${variant.url} ${Math.round(variant.width)}w`);
+    });
+
+  return {
+    srcset: (groups[''] || []).join(', '),
+    sources: SOURCE_TYPES.filter((type) => groups[type]).map((type) => ({
+      type,
+      srcset: groups[type].join(', '),
+    })),
+  };
+}
+
+/**
+ * Converts short format name to mime-type
+ *
+ * @param {string} [format] - format name or mime-type
+ * @returns {string} mime-type or empty string for unknown format
+ */
+function toMimeType(format) {
+  if (!format) {
+    return '';
+  }
+
+  const type = String(format).toLowerCase().replace('jpg', 'jpeg');
+
+  return type.includes('/') ? type : `image/${type}`;
+}